@@ -4,12 +4,27 @@
 import {
     saveSettingsDebounced,
     getCurrentChatId,
+    getThumbnailUrl,
+    selectCharacterById,
+    openCharacterChat,
+    showMoreMessages,
     eventSource,
     event_types,
-    t,
-    // messageFormatting, // Not strictly needed for basic preview, but could be used
+    getRequestHeaders,
+    setExtensionPrompt,
+    extension_prompt_types,
+    extension_prompt_roles,
+    messageFormatting,
 } from '../../../../script.js';
 
+// Import from the localization script (public/scripts/i18n.js)
+import {
+    t,
+    translate,
+    addLocaleData,
+    getCurrentLocale,
+} from '../../../i18n.js';
+
 // Import from the extension helper script (public/scripts/extensions.js)
 import {
     getContext,
@@ -29,8 +44,43 @@ import {
 import {
     uuidv4,
     timestampToMoment,
+    getStringHash,
+    debounce,
+    download,
+    copyText,
 } from '../../../utils.js';
 
+// Import from the tokenizer script (public/scripts/tokenizers.js)
+import {
+    getTokenCountAsync,
+} from '../../../tokenizers.js';
+
+// Import from the group chat script (public/scripts/group-chats.js)
+import {
+    openGroupById,
+    openGroupChat,
+} from '../../../group-chats.js';
+
+// Import from the slash command scripts (public/scripts/slash-commands/)
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import {
+    ARGUMENT_TYPE,
+    SlashCommandArgument,
+    SlashCommandNamedArgument,
+} from '../../../slash-commands/SlashCommandArgument.js';
+
+// Import from the persona script (public/scripts/personas.js)
+import {
+    user_avatar,
+} from '../../../personas.js';
+
+// Import from the bundled libraries (public/lib.js)
+import {
+    DOMPurify,
+    showdown,
+} from '../../../../lib.js';
+
 // jQuery ($) is globally available
 
 (function () { // Use IIFE to encapsulate plugin logic
@@ -42,22 +92,85 @@ import {
     // --- Constants ---
     const favIconClass = 'favorite-toggle-icon';
     const favIconSelector = `.${favIconClass}`;
-    const favoritedIconClass = 'fa-solid fa-star'; // Gold, solid star
-    const unfavoritedIconClass = 'fa-regular fa-star'; // Hollow star
     const settingsContainerId = 'favorites-plugin-settings-area';
+    const collectionsContainerId = 'favorites-plugin-collections-area';
+    const statsContainerId = 'favorites-plugin-stats-area';
+    const statsTopChats = 5; // Chats listed in the statistics rankings
+    const maxStatsBuckets = 24; // Weeks or months shown in the statistics timeline
+    const maxIntegrityDetails = 10; // Issues listed per category in the integrity report
+    // Problems the integrity scanner looks for, and how each is repaired
+    const integrityCategories = {
+        missingOwner: { label: "Character or group no longer exists", repairLabel: "Delete favorites", undoLabel: 'Delete favorites of removed characters', destructive: true },
+        missingChat: { label: "Chat no longer exists", repairLabel: "Archive", undoLabel: 'Archive favorites of missing chats', destructive: false },
+        countMismatch: { label: "Count does not match the items", repairLabel: "Recount", undoLabel: 'Fix favorite counts', destructive: false },
+        duplicates: { label: "Duplicate message ids", repairLabel: "Merge duplicates", undoLabel: 'Merge duplicate favorites', destructive: false },
+        // Entries from before avatars were stored; reported only, since their owner cannot be told apart from a deleted one
+        unknownOwner: { label: "Character cannot be identified (open the chat once to fix)", repairLabel: null, undoLabel: null, destructive: false },
+        missingFields: { label: "Items without id or timestamp", repairLabel: "Fill in", undoLabel: 'Fill in missing favorite fields', destructive: false },
+    };
     const sidebarButtonId = 'my_favorites_sidebar_button';
+    const sceneButtonId = 'my_favorites_scene_button';
+    const excerptButtonId = 'favorites-excerpt-button';
+    const excerptHighlightClass = 'fav-excerpt-highlight';
     const popupListContainerId = 'favorites-popup-list-container';
     const popupPaginationId = 'favorites-popup-pagination';
     const pluginPageListContainerId = 'favorites-plugin-page-list';
     const pluginPagePaginationId = 'favorites-plugin-page-pagination';
-    const itemsPerPagePopup = 10;
-    const itemsPerPagePluginPage = 20;
+    // Options users can change in the settings section (stored as settings.display)
+    const defaultDisplaySettings = {
+        itemsPerPagePopup: 10,
+        itemsPerPagePluginPage: 20,
+        previewLength: 80, // Characters of message text in popup previews
+        favoritedIconClass: 'fa-solid fa-star', // Gold, solid star
+        unfavoritedIconClass: 'fa-regular fa-star', // Hollow star
+        iconPlacement: 'prepend', // Where the star goes in .extraMesButtons: "prepend" or "append"
+        sortOrder: 'oldest', // Popup order: "oldest", "newest", "position" or "rating"
+        confirmDelete: true,
+    };
+    const globalBrowserListId = 'favorites-global-list-container';
+    const globalBrowserPaginationId = 'favorites-global-pagination';
+    const itemsPerPageGlobalBrowser = 20;
+    const exportFormatName = 'my-favorites-plugin';
+    const exportFormatVersion = 1; // Bump when the JSON export layout changes
+    const jumpHighlightClass = 'favorite-jump-highlight';
+    const jumpHighlightDuration = 2000; // ms
+    const maxLoadMoreAttempts = 200; // Safety limit when loading older messages to reach a target
+    const minimapId = 'favorites-minimap';
+    const minimapTooltipId = 'favorites-minimap-tooltip';
+    const minimapPreviewLength = 150;
+    const defaultContextViewSize = 3; // Messages shown before and after a favorite in the context view
+    const maxContextViewSize = 50;
+    const maxNoteHistory = 20; // Earlier versions kept per note
+    const maxRating = 5;
+    const ratingPickerId = 'favorites-rating-picker';
+    const ratingPickerHideDelay = 300; // ms the picker stays open after the pointer leaves the icon
+    const maxUndoSteps = 50;
+    const chatStorageVersion = 1; // Layout version of the favorites block in chat metadata
+    const defaultContextSettings = {
+        position: 'in_chat',
+        depth: 4,
+        budget: 500, // Tokens; 0 means no limit
+        template: '[Key moments of the story so far:\n{{favorites}}]',
+        content: 'message',
+    };
+    const contextPositions = {
+        in_chat: extension_prompt_types.IN_CHAT,
+        in_prompt: extension_prompt_types.IN_PROMPT,
+        before_prompt: extension_prompt_types.BEFORE_PROMPT,
+    };
+    const undoToastDuration = 8000; // ms
+    const localeFolder = `scripts/extensions/third-party/${pluginFolderName}/locales`;
+    const dateFormatOptions = { dateStyle: 'medium', timeStyle: 'short' };
+    const syncChannelName = `${pluginName}-sync`;
+    const syncIgnoredFields = ['fieldTimes']; // Favorite fields that are bookkeeping, not content
+    const syncIgnoredChatFields = ['items', 'count', 'messageCount', 'summary']; // Chat fields that follow from others
+    const syncedOptionKeys = ['display', 'contextViewSize']; // Plugin-wide options the tabs share
 
 
     // --- HTML Snippets ---
     const messageButtonHtml = `
-        <div class="mes_button ${favIconClass}" title="Favorite/Unfavorite Message">
-            <i class="${unfavoritedIconClass}"></i>
+        <div class="mes_button ${favIconClass}">
+            <i></i><span class="fav-rating-badge"></span>
         </div>
     `;
 
@@ -65,7 +178,77 @@ import {
     let favoritesPopup = null; // Stores the Popup instance
     let currentPopupChatId = null; // Tracks which chat the popup is showing
     let currentPopupPage = 1;
+    let popupSelectionMode = false; // True while the popup shows checkboxes for batch actions
+    const popupSelectedIds = new Set(); // Favorite IDs selected in the popup
+    let popupLastClickedIndex = null; // Index in the sorted list of the last toggled item, for shift-click ranges
+    let popupMinRating = 0; // The popup only lists favorites rated at least this; 0 lists all
     let currentPluginPagePage = 1;
+    let statsPeriod = 'month'; // Bucket size of the statistics timeline: "week" or "month"
+    let isSelectingScene = false; // True while the user is picking a scene's start and end messages
+    let sceneSelectionStartId = null;
+    let pendingExcerpt = null; // Text selection the floating excerpt button would save
+    const undoStack = []; // Steps { id, label, before, after } of favorite changes, newest last
+    const redoStack = [];
+    let isCapturingUndoStep = false; // True while a composite change records itself as one step
+    let hydratedChatId = null; // Open chat whose favorites were taken from its chat metadata
+    const chatItemsCache = new Map(); // Chat ID -> favorites read from the chat, in "chat" storage mode
+    const unwrittenChats = new Set(); // Closed chats whose changed favorites are not in their chat file yet
+    const chatLoads = new Map(); // Chat ID -> pending or finished read of its chat file
+    let chatWriteQueue = Promise.resolve(); // Writes into closed chat files, one at a time
+    const pendingChatWrites = new Set(); // Chats with a write in chatWriteQueue
+    const savedIndexEntries = new Map(); // Chat ID -> index entry as last saved, to skip saving an unchanged index
+    let savedCollectionsJson = null;
+    const noIndexEntryJson = JSON.stringify([null, null]); // A chat the settings know nothing about
+    let pinnedContext = { chatId: null, pinnedCount: 0, injectedIds: new Set(), tokenCount: 0 }; // What the prompt currently carries
+    let pinnedContextRunId = 0; // Lets a slow token count notice that a newer update replaced it
+    let globalBrowserPopup = null; // Stores the global browser Popup instance
+    let globalBrowserPage = 1;
+    let globalBrowserSort = 'recent'; // Result order: "recent" or "rating"
+    const updatePinnedContextDebounced = debounce(() => updatePinnedContext(), 300);
+    const renderMinimapDebounced = debounce(() => renderMinimap(), 100);
+    const renderStatsSectionDebounced = debounce(() => renderStatsSection(), 300);
+    const globalBrowserFilters = { query: '', owner: '', role: '', dateFrom: '', dateTo: '', hasNote: false, collection: '', minRating: 0 };
+    let dateFormatter = null; // Intl formatter for the user's locale, created once the locale is known
+    let noteConverter = null; // Markdown converter for notes, created on first use
+    let ratingPickerHideTimer = null;
+    let syncChannel = null; // BroadcastChannel to other tabs of this SillyTavern
+    let syncBaseline = null; // What the other tabs were last told, see captureSyncState()
+
+
+    // --- Localization Functions ---
+
+    /**
+     * Loads the plugin's translations for SillyTavern's current locale. Strings without a translation stay English.
+     * Must run before templates are rendered and before commands are registered, since both are translated then.
+     */
+    async function loadLocaleData() {
+        const locale = getCurrentLocale();
+        try {
+            dateFormatter = new Intl.DateTimeFormat(locale, dateFormatOptions);
+        } catch {
+            dateFormatter = new Intl.DateTimeFormat(undefined, dateFormatOptions); // Not a valid language tag
+        }
+        if (!locale || locale === 'en') return;
+
+        try {
+            const response = await fetch(`${localeFolder}/${locale}.json`);
+            if (!response.ok) return; // No translation shipped for this locale
+            addLocaleData(locale, await response.json());
+        } catch (error) {
+            console.error(logPrefix, `Failed to load the ${locale} translation:`, error);
+        }
+    }
+
+    /**
+     * Formats a favorite's date for the user's locale.
+     * @param {string|number} timestamp A message send date or Unix timestamp.
+     * @returns {string} The localized date and time, or "N/A" if there is none.
+     */
+    function formatFavoriteDate(timestamp) {
+        const date = timestamp ? timestampToMoment(timestamp).toDate() : null;
+        if (!date || isNaN(date.getTime())) return t`N/A`;
+        return (dateFormatter || new Intl.DateTimeFormat(undefined, dateFormatOptions)).format(date);
+    }
 
     // --- Core Data Functions ---
 
@@ -81,6 +264,62 @@ import {
         if (!extension_settings[pluginName].chats) {
             extension_settings[pluginName].chats = {};
         }
+        // Ensure 'collections' sub-object exists (collection id -> { id, name, createdAt })
+        if (!extension_settings[pluginName].collections) {
+            extension_settings[pluginName].collections = {};
+        }
+        // Chats whose favorites were all removed while the chat was closed (chat id -> time)
+        if (!extension_settings[pluginName].removedChats) {
+            extension_settings[pluginName].removedChats = {};
+        }
+        // Fill in display options added since the settings were saved
+        extension_settings[pluginName].display = { ...defaultDisplaySettings, ...extension_settings[pluginName].display };
+    }
+
+    /**
+     * Upgrades stored data from older plugin versions, one step per data version.
+     */
+    function runDataMigrations() {
+        const settings = getPluginSettings();
+        const startVersion = settings.dataVersion || 0;
+
+        if (settings.dataVersion === undefined || settings.dataVersion < 1) {
+            // v1: every item carries tag and collection lists
+            Object.values(settings.chats).forEach(chatData => {
+                (chatData.items || []).forEach(favItem => {
+                    if (!Array.isArray(favItem.tags)) favItem.tags = [];
+                    if (!Array.isArray(favItem.collections)) favItem.collections = [];
+                });
+            });
+            settings.dataVersion = 1;
+        }
+
+        if (settings.dataVersion < 2) {
+            // v2: favorites belong to one swipe; older items keep the swipe their snapshot captured.
+            // Items without a snapshot get theirs when their chat is next relinked (see guessLegacySwipeId).
+            Object.values(settings.chats).forEach(chatData => {
+                (chatData.items || []).forEach(favItem => {
+                    if (typeof favItem.swipeId !== 'number' && typeof favItem.snapshot?.swipeId === 'number') {
+                        favItem.swipeId = favItem.snapshot.swipeId;
+                    }
+                });
+            });
+            settings.dataVersion = 2;
+        }
+
+        if (settings.dataVersion < 3) {
+            // v3: each chat keeps its favorites in its own metadata and settings only hold an index.
+            // Users who switched back with /favstorage settings keep that choice.
+            if (settings.storage === undefined) settings.storage = 'chat';
+            settings.dataVersion = 3;
+        }
+        // v4 moves every chat's favorites into its chat file; it needs the server, so runStorageMigration()
+        // runs it once the plugin has loaded.
+
+        if (settings.dataVersion !== startVersion) {
+            console.log(logPrefix, `Migrated data from version ${startVersion} to ${settings.dataVersion}.`);
+            saveSettingsDebounced();
+        }
     }
 
     /**
@@ -92,9 +331,17 @@ import {
         return extension_settings[pluginName];
     }
 
+    /**
+     * Gets the user-adjustable display options.
+     * @returns {object} The options, see defaultDisplaySettings.
+     */
+    function getDisplaySettings() {
+        return getPluginSettings().display;
+    }
+
     /**
      * Gets chat info for the current context.
-     * @returns {object|null} { chatId, type, name, characterId?, groupId? } or null if context unavailable.
+     * @returns {object|null} { chatId, type, name, characterId?, groupId?, avatar? } or null if context unavailable.
      */
     function getCurrentChatInfo() {
         try {
@@ -102,7 +349,7 @@ import {
             const chatId = getCurrentChatId(); // From script.js
             if (!chatId) return null;
 
-            let type, name, characterId, groupId;
+            let type, name, characterId, groupId, avatar;
 
             if (context.groupId) {
                 type = "group";
@@ -113,13 +360,14 @@ import {
                 type = "private";
                 characterId = context.characterId;
                 name = context.name2; // Character name
+                avatar = context.characters?.[characterId]?.avatar; // Stable key, unlike the character index
             } else {
                 // Fallback or unknown state
                 console.warn(logPrefix, "Could not determine chat type for", chatId);
                 return null;
             }
 
-            return { chatId, type, name, characterId, groupId };
+            return { chatId, type, name, characterId, groupId, avatar };
         } catch (error) {
             console.error(logPrefix, "Error getting current chat info:", error);
             return null;
@@ -128,7 +376,7 @@ import {
 
      /**
      * Gets a specific chat message object from the current context.
-     * @param {string|number} messageId The ID of the message to find.
+     * @param {string|number} messageId The ID (mesid, i.e. position in the chat) of the message to find.
      * @returns {object|null} The message object or null if not found.
      */
      function getChatMessageById(messageId) {
@@ -136,83 +384,422 @@ import {
             const context = getContext();
             // Ensure messageId is parsed correctly if it's sometimes a string/number
             const targetId = typeof messageId === 'string' ? parseInt(messageId, 10) : messageId;
-            return context.chat?.find(msg => msg.id === targetId) || null;
+            if (!Number.isInteger(targetId)) return null;
+            return context.chat?.[targetId] || null;
         } catch (error) {
             // console.warn(logPrefix, `Could not get message ${messageId} from context:`, error);
             return null;
         }
     }
 
+    /**
+     * Gets the swipe currently shown for a message.
+     * @param {object} message The message object from context.chat.
+     * @returns {number} The swipe index; 0 for messages without swipes.
+     */
+    function getCurrentSwipeId(message) {
+        return typeof message?.swipe_id === 'number' ? message.swipe_id : 0;
+    }
 
     /**
-     * Checks if a message is currently favorited.
+     * Gets the text of one swipe of a message, even if a different swipe is currently shown.
+     * @param {object} message The message object from context.chat.
+     * @param {number} swipeId The swipe index.
+     * @returns {string|null} The swipe text, or null if the message has no such swipe.
+     */
+    function getSwipeText(message, swipeId) {
+        if (!message) return null;
+        if (Array.isArray(message.swipes) && message.swipes.length > 0) {
+            return typeof message.swipes[swipeId] === 'string' ? message.swipes[swipeId] : null;
+        }
+        // Messages without swipes (e.g. user messages) only have their shown text
+        return swipeId === 0 ? (message.mes || '') : null;
+    }
+
+    /**
+     * Gets the send date of one swipe of a message.
+     * @param {object} message The message object from context.chat.
+     * @param {number} swipeId The swipe index.
+     * @returns {*} The swipe's send_date, or the message's own when no per-swipe date is recorded.
+     */
+    function getSwipeSendDate(message, swipeId) {
+        return message?.swipe_info?.[swipeId]?.send_date ?? message?.send_date;
+    }
+
+    /**
+     * Resolves the avatar URL shown next to a message, mirroring how the chat renders it.
+     * @param {object} message The message object from context.chat.
+     * @returns {string} The avatar URL, or an empty string if it cannot be determined.
+     */
+    function getMessageAvatarUrl(message) {
+        try {
+            if (message.force_avatar) return message.force_avatar;
+            if (message.is_user) return user_avatar ? getThumbnailUrl('persona', user_avatar) : '';
+
+            const context = getContext();
+            // Group messages remember the avatar of the member who sent them
+            const avatarFile = message.original_avatar || context.characters?.[context.characterId]?.avatar;
+            return avatarFile ? getThumbnailUrl('avatar', avatarFile) : '';
+        } catch (error) {
+            console.warn(logPrefix, "Could not resolve message avatar:", error);
+            return '';
+        }
+    }
+
+    /**
+     * Captures the parts of a message needed to preview it outside of its chat.
+     * @param {object} message The message object from context.chat.
+     * @param {object} chatInfo Result from getCurrentChatInfo().
+     * @param {number} [swipeId] The swipe to capture; defaults to the one currently shown.
+     * @returns {object} The snapshot { text, avatar, swipeId, characterName, attachments, capturedAt }.
+     */
+    function createMessageSnapshot(message, chatInfo, swipeId = getCurrentSwipeId(message)) {
+        return {
+            text: getSwipeText(message, swipeId) ?? message.mes ?? '',
+            avatar: getMessageAvatarUrl(message),
+            swipeId: swipeId,
+            // The speaker for character messages (a group's name would say nothing); the chat's character otherwise
+            characterName: (getMessageRole(message) === 'character' ? message.name : chatInfo?.name) || '',
+            attachments: getMessageAttachments(message),
+            capturedAt: Date.now(),
+        };
+    }
+
+    /**
+     * Gets when a favorite was added. Older favorites only have the time their snapshot was taken, and legacy
+     * ones (whose snapshot was filled in later) not even that; their message's date is the best guess.
+     * @param {object} favItem The favorite item.
+     * @returns {number} Milliseconds since epoch, or 0 if unknown.
+     */
+    function getFavoritedTime(favItem) {
+        if (favItem.favoritedAt) return favItem.favoritedAt;
+        if (favItem.snapshot?.capturedAt && !favItem.snapshot.backfilled) return favItem.snapshot.capturedAt;
+        return favItem.timestamp ? timestampToMoment(favItem.timestamp).valueOf() || 0 : 0;
+    }
+
+    /**
+     * Lists the images and files attached to a message.
+     * @param {object} message The message object from context.chat.
+     * @returns {Array<{type: string, url: string, name: string}>} The attachments; type is "image" or "file".
+     */
+    function getMessageAttachments(message) {
+        const extra = message?.extra || {};
+        const attachments = [];
+        if (typeof extra.image === 'string' && extra.image) {
+            attachments.push({ type: 'image', url: extra.image, name: extra.title || '' });
+        }
+        [extra.file, ...(Array.isArray(extra.files) ? extra.files : [])]
+            .filter(file => file?.url || file?.name)
+            .forEach(file => attachments.push({ type: 'file', url: file.url || '', name: file.name || 'file' }));
+        return attachments;
+    }
+
+    /**
+     * Fills in snapshots for favorites of the current chat that were saved before snapshots existed.
+     * Runs whenever a chat is opened, since that is the only time the original messages are available.
+     */
+    function migrateMissingSnapshots() {
+        const chatInfo = getCurrentChatInfo();
+        if (!chatInfo) return;
+
+        const items = getChatItems(chatInfo.chatId);
+        if (!items) return;
+
+        let migratedCount = 0;
+        items.forEach(favItem => {
+            if (favItem.snapshot) return;
+            const message = getChatMessageById(favItem.messageId);
+            if (message) {
+                favItem.snapshot = { ...createMessageSnapshot(message, chatInfo, favItem.swipeId), backfilled: true };
+                migratedCount++;
+            }
+        });
+
+        if (migratedCount > 0) {
+            console.log(logPrefix, `Added snapshots to ${migratedCount} favorite(s) in chat ${chatInfo.chatId}.`);
+            saveFavorites([chatInfo.chatId]);
+        }
+    }
+
+
+    /**
+     * Checks whether an item is a plain single-message favorite, as opposed to e.g. a scene.
+     * @param {object} favItem The favorite item.
+     * @returns {boolean} True for single-message favorites.
+     */
+    function isMessageFavorite(favItem) {
+        return !favItem.kind || favItem.kind === 'message';
+    }
+
+    /**
+     * Finds the favorite item for a message, optionally for one specific swipe.
      * @param {string} chatId The chat ID.
      * @param {string|number} messageId The message ID.
-     * @returns {boolean} True if favorited, false otherwise.
+     * @param {number} [swipeId] The swipe index; if omitted, a favorite of any swipe matches.
+     * @returns {object|undefined} The favorite item.
      */
-    function isFavorited(chatId, messageId) {
-        const settings = getPluginSettings();
-        const chatData = settings.chats[chatId];
-        if (!chatData || !chatData.items) return false;
+    function findFavoriteForMessage(chatId, messageId, swipeId) {
+        const items = getChatItems(chatId);
+        if (!items) return undefined;
         // Ensure comparison handles potential type mismatches (string vs number)
         const stringMessageId = String(messageId);
-        return chatData.items.some(item => String(item.messageId) === stringMessageId);
+        // Unresolved items no longer point at a known message, so they never light up a star
+        return items.find(item => !item.unresolved
+            && isMessageFavorite(item)
+            && String(item.messageId) === stringMessageId
+            && (swipeId === undefined || (item.swipeId ?? 0) === swipeId));
     }
 
     /**
-     * Adds a message to favorites.
-     * @param {object} chatInfo - Result from getCurrentChatInfo().
-     * @param {object} message - The message object from context.chat.
+     * Checks if a message is currently favorited.
+     * @param {string} chatId The chat ID.
+     * @param {string|number} messageId The message ID.
+     * @param {number} [swipeId] The swipe index; if omitted, checks for a favorite of any swipe.
+     * @returns {boolean} True if favorited, false otherwise.
      */
-    function addFavorite(chatInfo, message) {
-        if (!chatInfo || !message) {
-            console.error(logPrefix, "addFavorite: Missing chatInfo or message object.");
-            return;
+    function isFavorited(chatId, messageId, swipeId) {
+        return !!findFavoriteForMessage(chatId, messageId, swipeId);
+    }
+
+    /**
+     * Computes the content fingerprint used to recognize a message after it moves.
+     * @param {object} message The message object from context.chat.
+     * @param {number} [swipeId] The swipe to fingerprint; defaults to the one currently shown.
+     * @returns {number} Hash of the swipe text.
+     */
+    function getMessageFingerprint(message, swipeId = getCurrentSwipeId(message)) {
+        return getStringHash(getSwipeText(message, swipeId) || '');
+    }
+
+    /**
+     * Scores how well a chat message matches the anchor stored on a favorite.
+     * The sender must always match; send_date is the strongest signal, the text fingerprint the weaker one.
+     * @param {object} message The message object from context.chat.
+     * @param {object} favItem The favorite item from settings.
+     * @returns {number} 0 if the message is not the favorited one, higher is a better match.
+     */
+    function scoreAnchorMatch(message, favItem) {
+        if (!message || message.name !== favItem.sender) return 0;
+
+        // Compare against the favorited swipe, not whichever swipe happens to be shown now
+        const swipeId = favItem.swipeId ?? guessLegacySwipeId(message, favItem);
+        if (getSwipeText(message, swipeId) === null) return 0;
+
+        let score = 0;
+        if (favItem.timestamp !== undefined && String(getSwipeSendDate(message, swipeId)) === String(favItem.timestamp)) score += 2;
+        if (favItem.fingerprint !== undefined && getMessageFingerprint(message, swipeId) === favItem.fingerprint) score += 1;
+        return score;
+    }
+
+    /**
+     * Searches a chat for a favorite's message, preferring the best anchor score and then the closest position.
+     * @param {object[]} chat The chat messages.
+     * @param {object} favItem The favorite item.
+     * @param {number} nearIndex The position the message was last known at.
+     * @returns {number} The mesid of the message, or -1 if none matches.
+     */
+    function findBestAnchorIndex(chat, favItem, nearIndex) {
+        let bestIndex = -1;
+        let bestScore = 0;
+        chat.forEach((message, index) => {
+            const score = scoreAnchorMatch(message, favItem);
+            if (score > bestScore || (score > 0 && score === bestScore && Math.abs(index - nearIndex) < Math.abs(bestIndex - nearIndex))) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+        return bestIndex;
+    }
+
+    /**
+     * Picks the swipe a favorite saved before favorites belonged to a swipe was most likely made on:
+     * the swipe sent at the favorite's timestamp, else the one shown now.
+     * @param {object} message The favorite's message.
+     * @param {object} favItem The favorite item, without a swipeId.
+     * @returns {number} The swipe index.
+     */
+    function guessLegacySwipeId(message, favItem) {
+        const swipeCount = Array.isArray(message.swipes) ? message.swipes.length : 1;
+        for (let swipeId = 0; swipeId < swipeCount; swipeId++) {
+            if (String(getSwipeSendDate(message, swipeId)) === String(favItem.timestamp)) return swipeId;
+        }
+        return getCurrentSwipeId(message);
+    }
+
+    /**
+     * Re-links favorites of the current chat to their messages after deletions shifted the mesids.
+     * Items whose message can't be found anywhere are flagged as unresolved instead of pointing at the wrong message.
+     * @returns {boolean} True if any favorite changed.
+     */
+    function relinkFavorites() {
+        const chatInfo = getCurrentChatInfo();
+        if (!chatInfo) return false;
+
+        const items = getChatItems(chatInfo.chatId);
+        if (!items) return false;
+
+        const chat = getContext().chat || [];
+        let changed = false;
+
+        items.forEach(favItem => {
+            const storedIndex = parseInt(favItem.messageId, 10);
+            const storedMessage = chat[storedIndex];
+
+            if (scoreAnchorMatch(storedMessage, favItem) > 0) {
+                // Still in place; backfill the swipe and fingerprint for items saved before they existed
+                if (typeof favItem.swipeId !== 'number') {
+                    favItem.swipeId = guessLegacySwipeId(storedMessage, favItem);
+                    changed = true;
+                }
+                if (favItem.fingerprint === undefined) {
+                    favItem.fingerprint = getMessageFingerprint(storedMessage, favItem.swipeId);
+                    changed = true;
+                }
+                if (favItem.unresolved) {
+                    delete favItem.unresolved;
+                    changed = true;
+                }
+                return;
+            }
+
+            const bestIndex = findBestAnchorIndex(chat, favItem, storedIndex);
+            if (bestIndex !== -1) {
+                console.log(logPrefix, `Re-linked favorite ${favItem.id} from message ${favItem.messageId} to ${bestIndex}.`);
+                favItem.messageId = String(bestIndex);
+                if (typeof favItem.swipeId !== 'number') favItem.swipeId = guessLegacySwipeId(chat[bestIndex], favItem);
+                if (favItem.fingerprint === undefined) favItem.fingerprint = getMessageFingerprint(chat[bestIndex], favItem.swipeId);
+                delete favItem.unresolved;
+                changed = true;
+            } else if (!favItem.unresolved) {
+                console.warn(logPrefix, `Favorite ${favItem.id} no longer matches any message in chat ${chatInfo.chatId}.`);
+                favItem.unresolved = true;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            saveFavorites([chatInfo.chatId]);
         }
-        const { chatId, type, name, characterId, groupId } = chatInfo;
+        return changed;
+    }
+
+    /**
+     * Ensures the chat entry for the given chat exists and carries up-to-date chat details.
+     * @param {object} chatInfo - Result from getCurrentChatInfo().
+     * @returns {object} The chat entry from settings.
+     */
+    function ensureChatEntry(chatInfo) {
+        const { chatId, type, name, characterId, groupId, avatar } = chatInfo;
         const settings = getPluginSettings();
 
-        // Ensure chat entry exists
         if (!settings.chats[chatId]) {
+            delete settings.removedChats[chatId];
             settings.chats[chatId] = {
                 type: type,
                 name: name,
                 characterId: characterId,
                 groupId: groupId,
+                avatar: avatar,
                 count: 0,
-                items: [],
             };
+            if (isChatStorageEnabled()) chatItemsCache.set(chatId, []);
+            else settings.chats[chatId].items = [];
             // Update name/type if it exists already but lacks details
         } else {
              settings.chats[chatId].name = name; // Keep name potentially updated
              settings.chats[chatId].type = type;
              if (characterId) settings.chats[chatId].characterId = characterId;
              if (groupId) settings.chats[chatId].groupId = groupId;
-             if (!settings.chats[chatId].items) settings.chats[chatId].items = [];
+             if (avatar) settings.chats[chatId].avatar = avatar;
+             if (!getChatItems(chatId) && (!isChatStorageEnabled() || chatId === hydratedChatId)) setChatItems(chatId, []);
              if (typeof settings.chats[chatId].count !== 'number') settings.chats[chatId].count = 0;
         }
+        const integrity = chatId === getCurrentChatId() ? getContext().chatMetadata?.integrity : undefined;
+        if (integrity) settings.chats[chatId].integrity = integrity; // Lets a rename be followed (see followChatIdentity)
+        return settings.chats[chatId];
+    }
 
+    /** Records the avatar of the open chat's character on entries saved before avatars were stored. */
+    function backfillChatAvatar() {
+        const chatData = getPluginSettings().chats[getCurrentChatId()];
+        if (!chatData || chatData.avatar || chatData.type !== "private") return;
+        const avatar = getCurrentChatInfo()?.avatar;
+        if (!avatar) return;
+        chatData.avatar = avatar;
+        saveSettingsDebounced();
+    }
 
-        // Check if already favorited (shouldn't happen if UI logic is correct, but good safeguard)
-        if (isFavorited(chatId, message.id)) {
-            console.warn(logPrefix, `Message ${message.id} in chat ${chatId} is already favorited.`);
-            return;
-        }
+    /**
+     * Gets the role stored on favorites for a message.
+     * @param {object} message The message object from context.chat.
+     * @returns {string} "user", "system" or "character".
+     */
+    function getMessageRole(message) {
+        return message.is_user ? "user" : (message.is_system ? "system" : "character");
+    }
 
-        const newItem = {
+    /**
+     * Builds a new favorite item for a message of the open chat.
+     * @param {object} chatInfo - Result from getCurrentChatInfo().
+     * @param {object} message - The message object from context.chat.
+     * @param {string|number} messageId - The mesid (position in the chat) of the message.
+     * @param {object} [fields] - Fields of the favorite's kind (kind, title, scene, excerpt...); they win over the defaults.
+     * @returns {object} The new item.
+     */
+    function createFavoriteItem(chatInfo, message, messageId, fields = {}) {
+        return {
             id: uuidv4(), // Unique favorite ID
-            messageId: String(message.id), // Store as string for consistency
+            messageId: String(messageId), // Store as string for consistency
+            swipeId: getCurrentSwipeId(message), // Which swipe's text this favorite keeps
             sender: message.name,
-            role: message.is_user ? "user" : (message.is_system ? "system" : "character"),
+            role: getMessageRole(message),
             timestamp: message.send_date, // Unix timestamp
+            fingerprint: getMessageFingerprint(message), // Lets the item find its message again if mesids shift
             note: "", // Initialize note as empty
+            snapshot: createMessageSnapshot(message, chatInfo), // Lets previews work outside this chat
+            favoritedAt: Date.now(),
+            tags: [],
+            collections: [], // Collection ids
+            ...fields,
         };
+    }
+
+    /**
+     * Adds a message to favorites.
+     * @param {object} chatInfo - Result from getCurrentChatInfo().
+     * @param {object} message - The message object from context.chat.
+     * @param {string|number} messageId - The mesid (position in the chat) of the message.
+     * @returns {object|undefined} The new (or already existing) favorite item.
+     */
+    function addFavorite(chatInfo, message, messageId) {
+        if (!chatInfo || !message) {
+            console.error(logPrefix, "addFavorite: Missing chatInfo or message object.");
+            return;
+        }
+        const chatId = chatInfo.chatId;
+        const settings = getPluginSettings();
+        ensureChatEntry(chatInfo);
+        if (!getChatItems(chatId)) {
+            console.error(logPrefix, `addFavorite: The favorites of chat ${chatId} are not loaded.`);
+            return;
+        }
 
-        settings.chats[chatId].items.push(newItem);
-        settings.chats[chatId].count = settings.chats[chatId].items.length; // Recalculate count
+        // Check if already favorited (shouldn't happen if UI logic is correct, but good safeguard)
+        // Each swipe of a message can be favorited on its own
+        const swipeId = getCurrentSwipeId(message);
+        if (isFavorited(chatId, messageId, swipeId)) {
+            console.warn(logPrefix, `Message ${messageId} (swipe ${swipeId}) in chat ${chatId} is already favorited.`);
+            return findFavoriteForMessage(chatId, messageId, swipeId);
+        }
 
-        console.log(logPrefix, `Favorited message ${message.id} in chat ${chatId}. New count: ${settings.chats[chatId].count}`);
-        saveSettingsDebounced();
+        const undoState = captureUndoState([chatId]);
+        const newItem = createFavoriteItem(chatInfo, message, messageId);
+
+        setChatItems(chatId, [...getChatItems(chatId), newItem]); // Also recalculates the count
+
+        console.log(logPrefix, `Favorited message ${messageId} in chat ${chatId}. New count: ${settings.chats[chatId].count}`);
+        saveFavorites([chatId]);
+        recordUndoStep(t`Favorite message`, undoState);
 
         // Update popup if it's open for this chat
         if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId === chatId) {
@@ -220,6 +807,8 @@ import {
         }
          // Update plugin page if visible
         renderPluginPage();
+
+        return newItem;
     }
 
     /**
@@ -229,65 +818,72 @@ import {
      * @returns {boolean} True if removal was successful, false otherwise.
      */
     function removeFavoriteById(chatId, favId) {
+        const removedCount = removeFavoritesByIds(chatId, [favId]);
+        if (removedCount === 0) {
+            console.warn(logPrefix, `Favorite with ID ${favId} not found in chat ${chatId}.`);
+        }
+        return removedCount > 0;
+    }
+
+    /**
+     * Removes several favorites of one chat at once, saving and re-rendering only once.
+     * @param {string} chatId The chat ID.
+     * @param {string[]} favIds The unique IDs of the favorite items to remove.
+     * @param {string} [undoLabel] How the removal is described in the undo history.
+     * @returns {number} How many favorites were removed.
+     */
+    function removeFavoritesByIds(chatId, favIds, undoLabel) {
         const settings = getPluginSettings();
         const chatData = settings.chats[chatId];
 
-        if (!chatData || !chatData.items) {
-            console.warn(logPrefix, `Cannot remove favorite: Chat ${chatId} not found or has no items.`);
-            return false;
+        const items = getChatItems(chatId);
+        if (!chatData || !items) {
+            console.warn(logPrefix, `Cannot remove favorites: Chat ${chatId} not found or has no items.`);
+            return 0;
         }
 
-        const initialLength = chatData.items.length;
-        chatData.items = chatData.items.filter(item => item.id !== favId);
-        const removed = chatData.items.length < initialLength;
-
-        if (removed) {
-            chatData.count = chatData.items.length;
-            console.log(logPrefix, `Removed favorite ${favId} from chat ${chatId}. New count: ${chatData.count}`);
+        const undoState = captureUndoState([chatId]);
+        const idsToRemove = new Set(favIds);
+        const remainingItems = items.filter(item => !idsToRemove.has(item.id));
+        const removedCount = items.length - remainingItems.length;
+        if (removedCount === 0) return 0;
 
-            // If chat becomes empty, remove the chat entry itself
-            if (chatData.count === 0) {
-                delete settings.chats[chatId];
-                console.log(logPrefix, `Removed empty chat entry for ${chatId}.`);
-            }
-            saveSettingsDebounced();
+        setChatItems(chatId, remainingItems);
+        console.log(logPrefix, `Removed ${removedCount} favorite(s) from chat ${chatId}. New count: ${chatData.count}`);
 
-            // Update popup if it's open for this chat
-            if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId === chatId) {
-                // Go back a page if the current page becomes empty, unless it's the first page
-                 const totalPages = Math.ceil(chatData.count / itemsPerPagePopup);
-                 if (currentPopupPage > totalPages && currentPopupPage > 1) {
-                     currentPopupPage--;
-                 }
-                updateFavoritesPopup(chatId, currentPopupPage); // Re-render popup
-            }
-             // Update plugin page if visible
-            renderPluginPage();
+        // If chat becomes empty, remove the chat entry itself
+        if (chatData.count === 0) {
+            deleteChatEntry(chatId);
+            console.log(logPrefix, `Removed empty chat entry for ${chatId}.`);
+        }
+        saveFavorites([chatId]);
+        recordUndoStep(undoLabel || t`Remove ${removedCount} favorite(s)`, undoState, { destructive: true });
 
-            return true;
-        } else {
-            console.warn(logPrefix, `Favorite with ID ${favId} not found in chat ${chatId}.`);
-            return false;
+        // Update popup if it's open for this chat
+        if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId === chatId) {
+            favIds.forEach(favId => popupSelectedIds.delete(favId));
+            // Go back a page if the current page becomes empty, unless it's the first page
+             const totalPages = Math.ceil(chatData.count / getDisplaySettings().itemsPerPagePopup);
+             if (currentPopupPage > totalPages && currentPopupPage > 1) {
+                 currentPopupPage = Math.max(1, totalPages);
+             }
+            updateFavoritesPopup(chatId, currentPopupPage); // Re-render popup
         }
+         // Update plugin page if visible
+        renderPluginPage();
+
+        return removedCount;
     }
 
     /**
      * Removes a favorite based on the original message ID.
      * @param {string} chatId The chat ID.
      * @param {string|number} messageId The original message ID.
+     * @param {number} [swipeId] The swipe whose favorite to remove; if omitted, the first favorite of any swipe.
      * @returns {boolean} True if removal was successful, false otherwise.
      */
-     function removeFavoriteByMessageId(chatId, messageId) {
-        const settings = getPluginSettings();
-        const chatData = settings.chats[chatId];
-
-        if (!chatData || !chatData.items) {
-            // console.warn(logPrefix, `Cannot remove favorite by messageId: Chat ${chatId} not found or has no items.`);
-            return false; // Not necessarily an error if toggling an unfavorited message
-        }
-
-        const stringMessageId = String(messageId);
-        const favItem = chatData.items.find(item => String(item.messageId) === stringMessageId);
+     function removeFavoriteByMessageId(chatId, messageId, swipeId) {
+        const favItem = findFavoriteForMessage(chatId, messageId, swipeId);
 
         if (favItem) {
             return removeFavoriteById(chatId, favItem.id);
@@ -297,449 +893,4829 @@ import {
         }
     }
 
-
-    // --- UI Update Functions ---
+    // --- Storage Functions ---
+    // In "chat" storage mode, the favorites of a chat live in that chat's metadata, so they travel with the
+    // chat file. settings.chats is only an index: per chat its owner, count and a small summary for the
+    // overview and the statistics. Items are read from the chat files when something needs them and kept in
+    // chatItemsCache; changes go back into the open chat's metadata, or into the files of closed chats.
+    // An entry keeps its items in the settings ("parked") only while there is no chat to put them in:
+    // archives of deleted chats, and chats that could not be written yet. In "settings" storage mode, the
+    // layout from before chat storage, every entry keeps its items in the settings.
+    // Every save names the chats it changed: only those are written, and the settings are only saved when
+    // one of their index entries (or the collections) changed.
 
     /**
-     * Updates the visual state of a favorite icon on a specific message.
-     * @param {jQuery} $messageElement - The jQuery object for the message container (.mes).
-     * @param {boolean} isFav - True to show favorited state, false for default.
+     * Checks whether favorites are stored in chat metadata rather than in the settings.
+     * @returns {boolean} True in "chat" storage mode.
      */
-    function updateFavoriteIconState($messageElement, isFav) {
-        const $icon = $messageElement.find(favIconSelector + ' i');
-        if ($icon.length) {
-            if (isFav) {
-                $icon.removeClass(unfavoritedIconClass).addClass(favoritedIconClass);
-                $icon.closest(favIconSelector).attr('title', 'Unfavorite Message');
-            } else {
-                $icon.removeClass(favoritedIconClass).addClass(unfavoritedIconClass);
-                 $icon.closest(favIconSelector).attr('title', 'Favorite Message');
-            }
-        } else {
-             // console.warn(logPrefix, `Icon not found in message element for update:`, $messageElement.attr('mesid'));
-        }
+    function isChatStorageEnabled() {
+        return getPluginSettings().storage === 'chat';
     }
 
     /**
-     * Iterates through currently visible messages, injects the favorite icon if missing,
-     * and updates its state based on stored data.
+     * Gets the favorites of a chat, wherever they are kept.
+     * @param {string} chatId The chat ID.
+     * @returns {object[]|null} The items, or null if the chat has no entry or its file was not read yet.
      */
-    function injectOrUpdateFavoriteIcons() {
-        const chatInfo = getCurrentChatInfo();
-        if (!chatInfo) return; // No active chat
+    function getChatItems(chatId) {
+        const chatData = getPluginSettings().chats[chatId];
+        if (!chatData) return null;
+        if (Array.isArray(chatData.items)) return chatData.items;
+        return chatItemsCache.get(chatId) || null;
+    }
 
-        const chatId = chatInfo.chatId;
-        // console.log(logPrefix, "Updating icons for chat:", chatId);
+    /**
+     * Replaces the favorites of a chat, keeping them where the chat keeps them.
+     * @param {string} chatId The chat ID.
+     * @param {object[]} items The new items.
+     */
+    function setChatItems(chatId, items) {
+        const chatData = getPluginSettings().chats[chatId];
+        if (!chatData) return;
+        if (Array.isArray(chatData.items)) chatData.items = items;
+        else chatItemsCache.set(chatId, items);
+        chatData.count = items.length;
+    }
 
-        // Select all message blocks currently in the DOM
-        $('#chat .mes').each(function() {
+    /**
+     * Builds what the index keeps about a chat's favorites, so the overview and the statistics need no chat files.
+     * @param {object[]} items The chat's favorites.
+     * @returns {{roles: object, starredMessages: number, days: object, collections: object}} Favorites per role,
+     *     how many messages they cover, favorites per day they were starred (YYYY-MM-DD) and per collection id.
+     */
+    function summarizeChatItems(items) {
+        const summary = { roles: { user: 0, character: 0, system: 0 }, starredMessages: 0, days: {}, collections: {} };
+        const starredIds = new Set();
+        items.forEach(item => {
+            summary.roles[item.role in summary.roles ? item.role : 'character']++;
+            const time = getFavoritedTime(item); // When it was starred, not when the message was sent
+            if (time > 0) {
+                const day = timestampToMoment(time).format('YYYY-MM-DD');
+                summary.days[day] = (summary.days[day] || 0) + 1;
+            }
+            (item.collections || []).forEach(id => {
+                summary.collections[id] = (summary.collections[id] || 0) + 1;
+            });
+            if (item.unresolved) return;
+            const startId = parseInt(item.messageId, 10);
+            const length = item.kind === 'scene' ? (item.scene?.messages?.length || 1) : 1;
+            for (let offset = 0; offset < length; offset++) starredIds.add(startId + offset);
+        });
+        summary.starredMessages = starredIds.size;
+        return summary;
+    }
+
+    /**
+     * Refreshes a chat's count and summary, if its favorites are at hand.
+     * @param {string} chatId The chat ID.
+     */
+    function updateChatSummary(chatId) {
+        const chatData = getPluginSettings().chats[chatId];
+        const items = getChatItems(chatId);
+        if (!chatData || !items) return;
+        chatData.count = items.length;
+        chatData.summary = summarizeChatItems(items);
+    }
+
+    /**
+     * Gets the favorites stored in the open chat's metadata.
+     * @returns {object[]} The stored items.
+     */
+    function getStoredChatItems() {
+        const stored = getContext().chatMetadata?.[pluginName];
+        return Array.isArray(stored?.items) ? stored.items : [];
+    }
+
+    /**
+     * Takes the open chat's favorites from its metadata. Runs when a chat is opened, before anything looks
+     * at the chat's favorites.
+     */
+    function hydrateCurrentChat() {
+        const settings = getPluginSettings();
+        const chatId = getCurrentChatId();
+
+        hydratedChatId = null;
+        if (!chatId || !isChatStorageEnabled()) return;
+
+        // The favorites block names the chat it was written for; a different name means the chat file was
+        // renamed (see followChatIdentity), or copied by a branch or checkpoint (which set main_chat to the
+        // chat they came from)
+        let storedItems = getStoredChatItems();
+        const storedChatId = getContext().chatMetadata?.[pluginName]?.chatId;
+        const changedIds = [];
+        let branchSource = null;
+        if (storedChatId && storedChatId !== chatId) {
+            if (storedChatId === getContext().chatMetadata.main_chat) {
+                branchSource = { chatId: storedChatId, items: storedItems };
+                storedItems = [];
+            }
+            changedIds.push(chatId); // Rewritten, so branches are only offered once
+        }
+
+        const chatData = settings.chats[chatId];
+        if (chatData) {
+            if (Array.isArray(chatData.items)) {
+                // Parked: there is a chat to keep them in again
+                chatItemsCache.set(chatId, chatData.items);
+                delete chatData.items;
+                delete chatData.archived;
+                delete chatData.archivedAt;
+                changedIds.push(chatId);
+            } else if (unwrittenChats.has(chatId)) {
+                changedIds.push(chatId); // Changed while closed and the write has not gone through; those changes win
+            } else {
+                chatItemsCache.set(chatId, storedItems);
+                if (syncBaseline) syncBaseline.chats.set(chatId, captureChatSyncState(chatId)); // Reading is not a change
+            }
+        } else if (storedItems.length > 0) {
+            if (settings.removedChats[chatId]) {
+                changedIds.push(chatId); // Removed while closed: the block is cleared
+            } else {
+                // The chat file carries favorites the index does not know, e.g. a restored backup or an imported chat
+                const chatInfo = getCurrentChatInfo();
+                if (chatInfo) {
+                    chatItemsCache.set(chatId, storedItems);
+                    ensureChatEntry(chatInfo);
+                    changedIds.push(chatId);
+                    console.log(logPrefix, `Picked up ${storedItems.length} favorite(s) stored in chat ${chatId}.`);
+                }
+            }
+        }
+        delete settings.removedChats[chatId];
+
+        hydratedChatId = chatId;
+        unwrittenChats.delete(chatId);
+        if (changedIds.length) {
+            saveFavorites(changedIds);
+        } else {
+            updateChatSummary(chatId); // The file may have been changed by something else, e.g. a restored backup
+            saveIndexIfChanged([chatId]);
+        }
+
+        if (branchSource) {
+            offerBranchFavorites(branchSource.chatId, branchSource.items)
+                .catch(error => console.error(logPrefix, "Error while copying favorites into a branch:", error));
+        }
+    }
+
+    /** Writes the open chat's favorites into its metadata. */
+    function writeOpenChatFavorites() {
+        if (!hydratedChatId || hydratedChatId !== getCurrentChatId()) return;
+        const context = getContext();
+        if (!context.chatMetadata) return;
+
+        const items = getChatItems(hydratedChatId) || [];
+        context.chatMetadata[pluginName] = { version: chatStorageVersion, chatId: hydratedChatId, items: items };
+        context.saveMetadata();
+    }
+
+    /**
+     * Writes the favorites of chats that changed: the open one into its metadata, closed ones into their files.
+     * Chats whose favorites are parked or not at hand have nothing to write.
+     * @param {string[]} chatIds The changed chats.
+     */
+    function writeChangedChats(chatIds) {
+        if (!isChatStorageEnabled()) return;
+        chatIds.forEach(chatId => {
+            if (chatId === hydratedChatId) {
+                writeOpenChatFavorites();
+            } else if (chatItemsCache.has(chatId)) {
+                unwrittenChats.add(chatId);
+                queueChatFileWrite(chatId);
+            }
+        });
+    }
+
+    /**
+     * Writes a closed chat's favorites into its file after the writes queued before. If the file cannot be
+     * written, the favorites are parked in the settings until the chat is opened.
+     * @param {string} chatId The chat ID.
+     */
+    function queueChatFileWrite(chatId) {
+        if (pendingChatWrites.has(chatId)) return; // The queued write takes the items as they are when it runs
+        pendingChatWrites.add(chatId);
+        chatWriteQueue = chatWriteQueue.then(async () => {
+            pendingChatWrites.delete(chatId);
+            const chatData = getPluginSettings().chats[chatId];
+            const items = chatItemsCache.get(chatId);
+            // Gone, or opened meanwhile, which writes the chat's metadata instead
+            if (!chatData || !items || !unwrittenChats.has(chatId) || chatId === hydratedChatId || chatId === getCurrentChatId()) return;
+            unwrittenChats.delete(chatId); // Changes made while the file is written mark it again
+
+            try {
+                if (await writeChatFileFavorites(chatId, chatData, items)) return;
+            } catch (error) {
+                console.error(logPrefix, `Error writing the favorites of chat ${chatId}:`, error);
+            }
+            if (getPluginSettings().chats[chatId] !== chatData || chatItemsCache.get(chatId) !== items) return;
+            console.warn(logPrefix, `Keeping the favorites of chat ${chatId} in the settings until the chat is opened.`);
+            chatData.items = items;
+            chatItemsCache.delete(chatId);
+            unwrittenChats.delete(chatId);
+            savedIndexEntries.delete(chatId);
+            saveSettingsDebounced();
+        });
+    }
+
+    /**
+     * Saves the settings if the index entries of the given chats, or the collections, changed since they
+     * were last saved from here.
+     * @param {string[]} chatIds The chats that may have changed.
+     */
+    function saveIndexIfChanged(chatIds) {
+        const settings = getPluginSettings();
+        const changedIds = chatIds.filter(chatId => {
+            if (Array.isArray(settings.chats[chatId]?.items)) {
+                // Parked favorites are part of the entry, so comparing it would cost about as much as saving
+                savedIndexEntries.delete(chatId);
+                return true;
+            }
+            const entryJson = getIndexEntryJson(chatId);
+            if (entryJson === (savedIndexEntries.get(chatId) ?? noIndexEntryJson)) return false;
+            savedIndexEntries.set(chatId, entryJson);
+            return true;
+        });
+        const collectionsJson = JSON.stringify(settings.collections);
+        if (!changedIds.length && collectionsJson === savedCollectionsJson) return;
+        savedCollectionsJson = collectionsJson;
+        saveSettingsDebounced();
+    }
+
+    /**
+     * Gets what the settings keep about a chat whose favorites are not parked, for comparing.
+     * @param {string} chatId The chat ID.
+     * @returns {string} The entry and the chat's removal time, as JSON.
+     */
+    function getIndexEntryJson(chatId) {
+        const settings = getPluginSettings();
+        return JSON.stringify([settings.chats[chatId] ?? null, settings.removedChats[chatId] ?? null]);
+    }
+
+    /** Takes the index as loaded for the index last saved, so opening a chat only saves what actually changed. */
+    function rememberSavedIndex() {
+        const settings = getPluginSettings();
+        [...Object.keys(settings.chats), ...Object.keys(settings.removedChats)].forEach(chatId => {
+            if (!Array.isArray(settings.chats[chatId]?.items)) savedIndexEntries.set(chatId, getIndexEntryJson(chatId));
+        });
+        savedCollectionsJson = JSON.stringify(settings.collections);
+    }
+
+    /**
+     * Saves favorites after a change: writes the changed chats in "chat" storage mode, and the settings
+     * index if it changed.
+     * @param {string[]} chatIds The chats whose favorites or index entries changed; empty if only collections did.
+     */
+    function saveFavorites(chatIds) {
+        const changedIds = [...new Set(chatIds)];
+        recordMessageCount();
+        changedIds.forEach(updateChatSummary);
+        broadcastFavoriteChanges(changedIds); // Before anything is written, so the change times are saved with the items
+        writeChangedChats(changedIds);
+        saveIndexIfChanged(changedIds);
+        updatePinnedContextDebounced(); // Pins, notes or texts of injected favorites may have changed
+        renderMinimapDebounced();
+        renderStatsSectionDebounced();
+    }
+
+    /**
+     * Removes a chat's entry from the index, remembering the removal so a closed chat's metadata is cleared
+     * when it is next opened rather than picked up again.
+     * @param {string} chatId The chat ID.
+     */
+    function deleteChatEntry(chatId) {
+        const settings = getPluginSettings();
+        delete settings.chats[chatId];
+        chatItemsCache.delete(chatId);
+        chatLoads.delete(chatId);
+        unwrittenChats.delete(chatId);
+        if (chatId !== hydratedChatId) {
+            settings.removedChats[chatId] = Date.now();
+        }
+    }
+
+    /**
+     * Keeps the favorites of a chat whose file is gone as an archive. They are parked in the settings,
+     * since there is no chat left to keep them in.
+     * @param {string} chatId The chat ID.
+     */
+    function archiveChatEntry(chatId) {
+        const chatData = getPluginSettings().chats[chatId];
+        if (!chatData) return;
+        chatData.items = getChatItems(chatId) || [];
+        chatData.count = chatData.items.length;
+        chatData.archived = true;
+        chatData.archivedAt = Date.now();
+        chatItemsCache.delete(chatId);
+        unwrittenChats.delete(chatId);
+    }
+
+    /**
+     * Reads a chat file that is not open.
+     * @param {string} chatId The chat ID.
+     * @param {object} chatData The chat's index entry.
+     * @returns {Promise<object[]|null>} The file's lines (a metadata header, then the messages), or null if it could not be read.
+     */
+    async function fetchChatFile(chatId, chatData) {
+        const isGroup = chatData.type === 'group';
+        const response = await fetch(isGroup ? '/api/chats/group/get' : '/api/chats/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(isGroup
+                ? { id: chatId }
+                : { ch_name: chatData.name, file_name: chatId, avatar_url: chatData.avatar }),
+        });
+        if (!response.ok) {
+            console.warn(logPrefix, `Could not read chat ${chatId}: ${response.status}`);
+            return null;
+        }
+
+        const chat = await response.json();
+        return Array.isArray(chat) ? chat : null;
+    }
+
+    /**
+     * Reads the favorites stored in a chat file that is not open.
+     * @param {string} chatId The chat ID.
+     * @param {object} chatData The chat's index entry.
+     * @returns {Promise<object[]|null>} The stored items (empty if the chat has none), or null if the file could
+     *     not be read or has no metadata line to keep favorites in.
+     */
+    async function fetchStoredChatItems(chatId, chatData) {
+        const header = (await fetchChatFile(chatId, chatData))?.[0];
+        if (!header || typeof header.mes === 'string') return null;
+        const stored = header.chat_metadata?.[pluginName];
+        return Array.isArray(stored?.items) ? stored.items : [];
+    }
+
+    /**
+     * Reads the messages of a chat file that is not open.
+     * @param {string} chatId The chat ID.
+     * @param {object} chatData The chat's index entry.
+     * @returns {Promise<object[]|null>} The messages, indexed like mesids, or null if the chat could not be read.
+     */
+    async function fetchChatMessages(chatId, chatData) {
+        const chat = await fetchChatFile(chatId, chatData);
+        if (!chat) return null;
+        // The first line is a metadata header rather than a message
+        return chat.length && typeof chat[0]?.mes !== 'string' ? chat.slice(1) : chat;
+    }
+
+    /**
+     * Writes favorites into the metadata of a chat file that is not open. SillyTavern keeps the open chat
+     * in memory and would overwrite the file, so the open chat goes through its metadata instead.
+     * @param {string} chatId The chat ID.
+     * @param {object} chatData The chat's index entry.
+     * @param {object[]|null} items The items to store, or null to take the favorites block out.
+     * @returns {Promise<boolean>} True if the file was written.
+     */
+    async function writeChatFileFavorites(chatId, chatData, items) {
+        const chat = await fetchChatFile(chatId, chatData);
+        const header = chat?.[0];
+        if (!header || typeof header.mes === 'string') return false;
+
+        header.chat_metadata = { ...header.chat_metadata };
+        if (items) header.chat_metadata[pluginName] = { version: chatStorageVersion, chatId, items };
+        else delete header.chat_metadata[pluginName];
+
+        const isGroup = chatData.type === 'group';
+        const response = await fetch(isGroup ? '/api/chats/group/save' : '/api/chats/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(isGroup
+                ? { id: chatId, chat }
+                : { ch_name: chatData.name, file_name: chatId, chat, avatar_url: chatData.avatar }),
+        });
+        if (!response.ok) {
+            console.warn(logPrefix, `Could not write chat ${chatId}: ${response.status}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Reads the favorites of chats that are not at hand from their chat files. Each file is read at most
+     * once per session; chats that cannot be read stay without items.
+     * @param {string[]} chatIds The chats to read.
+     * @returns {Promise<void>}
+     */
+    async function loadChatItems(chatIds) {
+        for (const chatId of chatIds) {
+            if (getChatItems(chatId) || !getPluginSettings().chats[chatId]) continue;
+            if (!chatLoads.has(chatId)) chatLoads.set(chatId, readChatItems(chatId));
+            await chatLoads.get(chatId);
+        }
+    }
+
+    /**
+     * Reads one chat's favorites into the cache.
+     * @param {string} chatId The chat ID.
+     * @returns {Promise<void>}
+     */
+    async function readChatItems(chatId) {
+        const chatData = getPluginSettings().chats[chatId];
+        try {
+            if (chatData.type === 'private' && !chatData.avatar) {
+                chatData.avatar = await findChatAvatar(chatId, chatData) || undefined;
+            }
+            const storedItems = await fetchStoredChatItems(chatId, chatData);
+            // Opened, parked or removed meanwhile
+            if (!storedItems || getChatItems(chatId) || getPluginSettings().chats[chatId] !== chatData) return;
+            chatItemsCache.set(chatId, storedItems);
+            if (syncBaseline) syncBaseline.chats.set(chatId, captureChatSyncState(chatId)); // Reading is not a change
+            updateChatSummary(chatId);
+            saveIndexIfChanged([chatId]); // The count may be off, and the avatar may have just been found
+        } catch (error) {
+            console.error(logPrefix, `Error reading favorites of chat ${chatId}:`, error);
+        }
+    }
+
+    /**
+     * Reads the favorites of every chat in the index, for views that search or change all of them.
+     * @returns {Promise<void>}
+     */
+    function loadAllChatItems() {
+        return loadChatItems(Object.keys(getPluginSettings().chats));
+    }
+
+    /**
+     * Lists the chat files a character has.
+     * @param {string} avatar The character's avatar file name.
+     * @returns {Promise<Set<string>|null>} The chat ids, or null if they could not be read.
+     */
+    async function fetchCharacterChatIds(avatar) {
+        const response = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: avatar }),
+        });
+        if (!response.ok) {
+            console.warn(logPrefix, `Could not list the chats of ${avatar}: ${response.status}`);
+            return null;
+        }
+
+        const chats = await response.json();
+        if (!chats || typeof chats !== 'object') return null;
+        return new Set(Object.values(chats).map(chat => String(chat?.file_name ?? '').replace(/\.jsonl$/, '')).filter(Boolean));
+    }
+
+    /**
+     * Finds the avatar of the character a private chat belongs to, for entries saved before avatars were
+     * stored: among the characters with the stored name, the one whose chats include it.
+     * @param {string} chatId The chat ID.
+     * @param {object} chatData The chat's index entry.
+     * @returns {Promise<string|null>} The avatar, or null if no character has the chat.
+     */
+    async function findChatAvatar(chatId, chatData) {
+        const candidates = (getContext().characters || []).filter(character => character.name === chatData.name);
+        for (const character of candidates) {
+            const chatIds = await fetchCharacterChatIds(character.avatar);
+            if (chatIds?.has(chatId)) return character.avatar;
+        }
+        return null;
+    }
+
+    /**
+     * Moves parked favorites into their chat files. The open chat is left to hydrateCurrentChat(), and
+     * archives stay parked.
+     * @returns {Promise<{movedIds: string[], remaining: number}>} The chats that were moved, and how many could not be.
+     */
+    async function moveParkedChats() {
+        const settings = getPluginSettings();
+        const movedIds = [];
+        let remaining = 0;
+
+        for (const [chatId, chatData] of Object.entries(settings.chats)) {
+            if (!Array.isArray(chatData.items) || chatData.archived || chatId === hydratedChatId) continue;
+            try {
+                if (chatData.type === 'private' && !chatData.avatar) {
+                    chatData.avatar = await findChatAvatar(chatId, chatData) || undefined;
+                }
+                const parkedJson = JSON.stringify(chatData.items);
+                const items = chatData.items;
+                // Only if the parked items did not change, and the chat was not opened, while the file was written
+                if ((chatData.avatar || chatData.type === 'group') && await writeChatFileFavorites(chatId, chatData, items)
+                    && settings.chats[chatId] === chatData && JSON.stringify(chatData.items) === parkedJson) {
+                    delete chatData.items;
+                    chatItemsCache.set(chatId, items);
+                    movedIds.push(chatId);
+                    continue;
+                }
+            } catch (error) {
+                console.error(logPrefix, `Error moving the favorites of chat ${chatId} into the chat:`, error);
+            }
+            if (Array.isArray(chatData.items)) remaining++;
+        }
+        return { movedIds, remaining };
+    }
+
+    /**
+     * Data version 4: moves the favorites of every chat out of the settings and into the chat files, once.
+     * Runs after the synchronous migrations since it needs the server. Chats that cannot be written keep
+     * their favorites in the settings until they are opened.
+     * @returns {Promise<void>}
+     */
+    async function runStorageMigration() {
+        const settings = getPluginSettings();
+        if (!isChatStorageEnabled() || settings.dataVersion >= 4) return;
+
+        const { movedIds, remaining } = await moveParkedChats();
+        settings.dataVersion = 4;
+        console.log(logPrefix, `Migrated data to version 4: moved the favorites of ${movedIds.length} chat(s) into their chat files.`);
+        if (remaining > 0) {
+            console.warn(logPrefix, `${remaining} chat(s) could not be written; their favorites stay in the settings until they are opened.`);
+        }
+        // The moved chats are written already; the other tabs and the index still have them parked
+        broadcastFavoriteChanges(movedIds);
+        saveSettingsDebounced();
+    }
+
+    /**
+     * Switches where favorites are stored. Switching to "settings" is the rollback of data version 4: every
+     * chat's favorites are read back into the settings and taken out of the chat files, which restores the
+     * layout older plugin versions read (data version 3). Switching to "chat" moves them into the chats again.
+     * @param {'chat'|'settings'} mode The storage mode.
+     * @returns {Promise<boolean>} True if every chat could be switched completely.
+     */
+    async function setStorageMode(mode) {
+        const settings = getPluginSettings();
+        let complete = true;
+
+        if (mode === 'settings') {
+            if (!isChatStorageEnabled()) return true;
+            // Nothing changes unless every chat can be read
+            const chatIds = Object.keys(settings.chats);
+            await loadChatItems(chatIds);
+            await chatWriteQueue;
+            const unreadable = chatIds.filter(chatId => !getChatItems(chatId));
+            if (unreadable.length) {
+                console.warn(logPrefix, `Could not read the favorites of ${unreadable.length} chat(s); favorites stay in the chats.`, unreadable);
+                return false;
+            }
+
+            const writtenIds = chatIds.filter(chatId => chatItemsCache.has(chatId));
+            chatIds.forEach(chatId => { settings.chats[chatId].items = getChatItems(chatId); });
+            settings.storage = 'settings';
+            settings.dataVersion = 3;
+            for (const chatId of writtenIds) {
+                if (chatId === hydratedChatId) {
+                    delete getContext().chatMetadata?.[pluginName];
+                    getContext().saveMetadata();
+                } else if (!await writeChatFileFavorites(chatId, settings.chats[chatId], null).catch(() => false)) {
+                    complete = false; // A leftover block is only read again after switching back
+                }
+            }
+            chatItemsCache.clear();
+            unwrittenChats.clear();
+            savedIndexEntries.clear();
+            chatLoads.clear();
+            hydratedChatId = null;
+        } else {
+            settings.storage = 'chat';
+            hydrateCurrentChat();
+            complete = (await moveParkedChats()).remaining === 0;
+            settings.dataVersion = Math.max(settings.dataVersion, 4);
+        }
+
+        console.log(logPrefix, `Favorites are now stored in ${mode === 'chat' ? 'chat metadata' : 'the settings'}.`);
+        // Every chat was written or parked already; the other tabs still have them where they were
+        broadcastFavoriteChanges(Object.keys(settings.chats));
+        saveSettingsDebounced();
+        return complete;
+    }
+
+
+    // --- Multi-Tab Sync Functions ---
+    // Every tab holds its own copy of the settings, and whichever saves last overwrites the others. So each
+    // save tells the other tabs what changed, and they merge it in before they save: favorites item by item,
+    // each top-level field taking the newest change (times are kept in the item's `fieldTimes`).
+    // The display options go along as a whole. The storage mode does not: switching it rewrites the open
+    // chat, which each tab has to do for itself. Only chats whose favorites a tab has at hand can be compared
+    // item by item; for the others, only the index entry goes along.
+
+    /**
+     * Captures the state other tabs are told about, one JSON string per favorite field.
+     * @param {string[]} chatIds The chats to capture; chats without an entry are captured as null.
+     * @returns {{chats: Map<string, object|null>, collections: Map<string, string>, options: string}}
+     */
+    function captureSyncState(chatIds) {
+        const settings = getPluginSettings();
+        const chats = new Map(chatIds.map(chatId => [chatId, settings.chats[chatId] ? captureChatSyncState(chatId) : null]));
+        const collections = new Map(Object.entries(settings.collections).map(([id, collection]) => [id, JSON.stringify(collection)]));
+        const options = JSON.stringify(Object.fromEntries(syncedOptionKeys.map(key => [key, settings[key]])));
+        return { chats, collections, options };
+    }
+
+    /**
+     * Captures one chat's part of the sync state.
+     * @param {string} chatId The chat ID.
+     * @returns {{meta: string, items: Map<string, Map<string, string>>|null, parked: boolean}} The entry's own
+     *     fields, each favorite's fields (null if the chat's favorites are not at hand), and whether they are parked.
+     */
+    function captureChatSyncState(chatId) {
+        const chatData = getPluginSettings().chats[chatId];
+        const chatItems = getChatItems(chatId);
+        const items = chatItems && new Map(chatItems.map(favItem => {
+            const fields = new Map();
+            Object.entries(favItem).forEach(([field, value]) => {
+                if (!syncIgnoredFields.includes(field)) fields.set(field, JSON.stringify(value));
+            });
+            return [favItem.id, fields];
+        }));
+        return { meta: JSON.stringify(getSyncChatMeta(chatData, syncIgnoredChatFields)), items, parked: Array.isArray(chatData.items) };
+    }
+
+    /**
+     * Makes a captured state what the other tabs were last told.
+     * @param {object} state A state from captureSyncState().
+     */
+    function updateSyncBaseline(state) {
+        state.chats.forEach((chatState, chatId) => {
+            if (chatState) syncBaseline.chats.set(chatId, chatState);
+            else syncBaseline.chats.delete(chatId);
+        });
+        syncBaseline.collections = state.collections;
+        syncBaseline.options = state.options;
+    }
+
+    /**
+     * Gets a chat entry without its favorites.
+     * @param {object} chatData The chat entry from settings.
+     * @param {string[]} [omit] Fields to leave out besides the items.
+     * @returns {object} A shallow copy of the entry's own fields.
+     */
+    function getSyncChatMeta(chatData, omit = ['items']) {
+        return Object.fromEntries(Object.entries(chatData).filter(([field]) => !omit.includes(field)));
+    }
+
+    /**
+     * Sends the favorites changed since the last broadcast to the other tabs, stamping the changed fields.
+     * Called on every save. Collections and display options are compared as a whole.
+     * @param {string[]} [chatIds] The chats that may have changed.
+     */
+    function broadcastFavoriteChanges(chatIds = []) {
+        if (!syncChannel || !syncBaseline) return;
+
+        const settings = getPluginSettings();
+        const state = captureSyncState(chatIds);
+        const now = Date.now();
+        const chats = {};
+
+        state.chats.forEach((chatState, chatId) => {
+            const baseChat = syncBaseline.chats.get(chatId);
+            if (!chatState) {
+                if (baseChat) chats[chatId] = { meta: null, items: [], removed: [...(baseChat.items?.keys() || [])] };
+                return;
+            }
+            const chatItems = getChatItems(chatId);
+            const parkedChanged = chatState.parked !== Boolean(baseChat?.parked);
+            const items = [];
+            let removed = [];
+            // Favorites that just came to hand (a chat was opened) are not changes
+            if (chatState.items && (!baseChat || baseChat.items)) {
+                chatState.items.forEach((fields, favId) => {
+                    const baseFields = baseChat?.items.get(favId);
+                    const changedFields = [...new Set([...fields.keys(), ...(baseFields?.keys() || [])])]
+                        .filter(field => fields.get(field) !== baseFields?.get(field));
+                    const favItem = chatItems.find(item => item.id === favId);
+                    if (changedFields.length) {
+                        favItem.fieldTimes = { ...favItem.fieldTimes };
+                        changedFields.forEach(field => { favItem.fieldTimes[field] = now; });
+                    } else if (!(parkedChanged && chatState.parked)) {
+                        return;
+                    }
+                    items.push(favItem); // Newly parked chats send all favorites, as the others may not have them at hand
+                });
+                removed = baseChat ? [...baseChat.items.keys()].filter(favId => !chatState.items.has(favId)) : [];
+            }
+            if (items.length || removed.length || parkedChanged || chatState.meta !== baseChat?.meta) {
+                chats[chatId] = { meta: getSyncChatMeta(settings.chats[chatId]), items, removed, parked: chatState.parked };
+            }
+        });
+
+        const collections = {};
+        state.collections.forEach((json, id) => {
+            if (json !== syncBaseline.collections.get(id)) collections[id] = settings.collections[id];
+        });
+        const removedCollections = [...syncBaseline.collections.keys()].filter(id => !state.collections.has(id));
+        const options = state.options !== syncBaseline.options ? JSON.parse(state.options) : null;
+
+        updateSyncBaseline(state);
+        if (!Object.keys(chats).length && !Object.keys(collections).length && !removedCollections.length && !options) return;
+
+        try {
+            syncChannel.postMessage({ type: 'changes', time: now, chats, collections, removedCollections, options });
+        } catch (error) {
+            console.error(logPrefix, "Could not send favorite changes to other tabs:", error);
+        }
+    }
+
+    /**
+     * Merges a favorite changed in another tab into the local one, field by field.
+     * @param {object[]} items The local favorites of the chat.
+     * @param {object} remoteItem The favorite as the other tab has it.
+     */
+    function mergeRemoteFavorite(items, remoteItem) {
+        const localItem = items.find(item => item.id === remoteItem.id);
+        if (!localItem) {
+            items.push(remoteItem);
+            return;
+        }
+
+        const localTimes = { ...localItem.fieldTimes };
+        Object.entries(remoteItem.fieldTimes || {}).forEach(([field, time]) => {
+            if ((localTimes[field] || 0) >= time) return;
+            if (Object.hasOwn(remoteItem, field)) localItem[field] = remoteItem[field];
+            else delete localItem[field];
+            localTimes[field] = time;
+        });
+        localItem.fieldTimes = localTimes;
+    }
+
+    /**
+     * Applies the changes another tab broadcast, then saves the settings and refreshes the views. Chats are
+     * not written: the other tab has written whatever chat it changed. The open chat's metadata is updated
+     * in memory, so the next save of the chat does not put the old favorites back.
+     * @param {MessageEvent} event The message from the sync channel.
+     */
+    function handleSyncMessage(event) {
+        const { type, time, chats, collections, removedCollections, options } = event.data || {};
+        if (type !== 'changes') return;
+
+        const settings = getPluginSettings();
+        Object.entries(chats).forEach(([chatId, change]) => {
+            let chatData = settings.chats[chatId];
+            const isNew = !chatData;
+            if (change.meta) {
+                if (!chatData) {
+                    chatData = settings.chats[chatId] = {};
+                    if (isChatStorageEnabled() && !change.parked) chatItemsCache.set(chatId, []);
+                    else chatData.items = [];
+                }
+                Object.assign(chatData, change.meta);
+                delete settings.removedChats[chatId];
+            }
+            if (!chatData) return;
+
+            // Follow the other tab in parking a chat's favorites or moving them into the chat
+            const isParked = Array.isArray(chatData.items);
+            if (change.parked && !isParked) {
+                chatData.items = getChatItems(chatId) || [];
+                chatItemsCache.delete(chatId);
+                unwrittenChats.delete(chatId);
+            } else if (change.parked === false && isParked && isChatStorageEnabled()) {
+                chatItemsCache.set(chatId, chatData.items);
+                delete chatData.items;
+            }
+
+            const localItems = getChatItems(chatId);
+            if (!localItems) { // Read from the chat file, which has the changes, when needed
+                if (!change.meta) deleteChatEntry(chatId);
+                return;
+            }
+            // The other tab writes the chat; this one only does if it has changes of its own to add
+            const wasWritten = isNew || !unwrittenChats.has(chatId);
+            change.items.forEach(remoteItem => mergeRemoteFavorite(localItems, remoteItem));
+            // A removal loses against changes made here after it; an entry removed there removes all favorites
+            const removedIds = new Set(change.meta ? change.removed : localItems.map(favItem => favItem.id));
+            const items = localItems.filter(favItem => !removedIds.has(favItem.id)
+                || Math.max(0, ...Object.values(favItem.fieldTimes || {})) > time);
+            setChatItems(chatId, items);
+            if (items.length === 0) {
+                deleteChatEntry(chatId);
+                return;
+            }
+            if (!isChatStorageEnabled() || !wasWritten || Array.isArray(chatData.items)) return;
+            if (chatId === hydratedChatId && getContext().chatMetadata) {
+                getContext().chatMetadata[pluginName] = { version: chatStorageVersion, chatId, items };
+            }
+        });
+        Object.assign(settings.collections, collections);
+        removedCollections.forEach(id => delete settings.collections[id]);
+        if (options) {
+            syncedOptionKeys.forEach(key => {
+                if (options[key] === undefined) delete settings[key];
+                else settings[key] = options[key];
+            });
+        }
+
+        const chatIds = Object.keys(chats);
+        console.log(logPrefix, `Merged favorite changes from another tab (${chatIds.length} chat(s)).`);
+        chatIds.forEach(updateChatSummary);
+        updateSyncBaseline(captureSyncState(chatIds)); // The merged state is not a change of this tab's own
+        saveIndexIfChanged(chatIds);
+        updatePinnedContextDebounced();
+        renderMinimapDebounced();
+        renderStatsSectionDebounced();
+        if (options) {
+            renderDisplaySettings();
+            applyDisplaySettings(null);
+        } else {
+            refreshFavoriteViews();
+        }
+    }
+
+    /** Opens the channel to other tabs and starts tracking changes from the current state. */
+    function setupFavoritesSync() {
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn(logPrefix, "BroadcastChannel is not available; favorites will not sync between tabs.");
+            return;
+        }
+        syncBaseline = captureSyncState(Object.keys(getPluginSettings().chats));
+        syncChannel = new BroadcastChannel(syncChannelName);
+        syncChannel.addEventListener('message', handleSyncMessage);
+    }
+
+
+    // --- Chat Lifecycle Functions ---
+    // SillyTavern has no rename event. Every chat carries an id in its metadata (`integrity`) that stays the
+    // same when its file is renamed; the index remembers it per chat, so when a chat is opened under an id the
+    // index does not know, the entry with the same identity is moved over (see followChatIdentity). This works
+    // in either storage mode, but only once the renamed chat is opened. Branches and checkpoints copy the
+    // metadata, identity included, and are told apart by main_chat; in "chat" storage mode, their copied
+    // favorites block is recognized too (see hydrateCurrentChat). Deletions come in as events.
+
+    /**
+     * Moves a chat's favorites to its new id after the chat file was renamed. If the new id already has
+     * an entry, the favorites it does not have yet are added to it.
+     * @param {string} oldChatId The chat's previous id.
+     * @param {string} newChatId The chat's new id.
+     * @param {object[]|null} [fileItems] The favorites stored in the renamed file, if they were read.
+     * @returns {boolean} True if an entry was moved.
+     */
+    function rekeyChatEntry(oldChatId, newChatId, fileItems = null) {
+        const settings = getPluginSettings();
+        const chatData = settings.chats[oldChatId];
+        if (!chatData || oldChatId === newChatId) return false;
+
+        const movedItems = getChatItems(oldChatId) || fileItems;
+        const target = settings.chats[newChatId];
+        if (target) {
+            const targetItems = getChatItems(newChatId) || [];
+            const knownIds = new Set(targetItems.map(favItem => favItem.id));
+            const items = [...targetItems, ...(movedItems || []).filter(favItem => !knownIds.has(favItem.id))];
+            // The renamed file is where the favorites belong now
+            delete target.archived;
+            delete target.archivedAt;
+            if (isChatStorageEnabled()) delete target.items;
+            setChatItems(newChatId, items);
+        } else {
+            settings.chats[newChatId] = chatData;
+            // Unread favorites stay in the file, which keeps them under its new name
+            if (!Array.isArray(chatData.items) && movedItems) chatItemsCache.set(newChatId, movedItems);
+        }
+        // No tombstone for the old id: the chat still exists, just under its new name
+        delete settings.chats[oldChatId];
+        delete settings.removedChats[newChatId];
+        chatItemsCache.delete(oldChatId);
+        chatLoads.delete(oldChatId);
+        // Changes not written yet go into the renamed file
+        if (unwrittenChats.delete(oldChatId) && chatItemsCache.has(newChatId)) unwrittenChats.add(newChatId);
+        if (currentPopupChatId === oldChatId) currentPopupChatId = newChatId;
+        if (hydratedChatId === oldChatId) hydratedChatId = newChatId;
+
+        console.log(logPrefix, `Chat ${oldChatId} was renamed to ${newChatId}; moved its ${chatData.count} favorite(s).`);
+        return true;
+    }
+
+    /**
+     * Follows a rename of the open chat: an entry under another id with the same identity, whose chat is gone,
+     * is moved to the open chat. A chat imported again shares the identity too, but its original is still there.
+     * Also records the identity on entries from before identities were kept.
+     * @returns {Promise<void>}
+     */
+    async function followChatIdentity() {
+        const chatId = getCurrentChatId();
+        const metadata = getContext().chatMetadata;
+        const integrity = metadata?.integrity;
+        if (!chatId || !integrity) return;
+
+        const settings = getPluginSettings();
+        if (settings.chats[chatId] && settings.chats[chatId].integrity !== integrity) {
+            settings.chats[chatId].integrity = integrity;
+            saveSettingsDebounced();
+        }
+        const candidateIds = Object.keys(settings.chats).filter(id => id !== chatId && id !== metadata.main_chat
+            && settings.chats[id].integrity === integrity && !settings.chats[id].archived);
+
+        for (const oldChatId of candidateIds) {
+            const chatData = settings.chats[oldChatId];
+            const chatIds = await fetchOwnerChatIds(chatData);
+            // Unknown, still there, or no longer the open chat once the list came back
+            if (!chatIds || chatIds.has(oldChatId) || getCurrentChatId() !== chatId || settings.chats[oldChatId] !== chatData) continue;
+            if (!rekeyChatEntry(oldChatId, chatId, chatId === hydratedChatId ? getStoredChatItems() : null)) continue;
+
+            saveFavorites([oldChatId, chatId]);
+            refreshFavoriteViews();
+            return;
+        }
+    }
+
+    /**
+     * Lists the chats the owner of a chat has.
+     * @param {object} chatData The chat's index entry.
+     * @returns {Promise<Set<string>|null>} The chat ids, or null if they could not be listed.
+     */
+    async function fetchOwnerChatIds(chatData) {
+        if (chatData.type === 'group') {
+            const group = getContext().groups?.find(g => g.id === chatData.groupId);
+            return Array.isArray(group?.chats) ? new Set(group.chats.map(String)) : null;
+        }
+        if (!chatData.avatar) return null;
+        try {
+            return await fetchCharacterChatIds(chatData.avatar);
+        } catch (error) {
+            console.error(logPrefix, `Error listing the chats of ${chatData.avatar}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Offers to copy the favorites of the chat a branch was made from, for the messages the branch shares with it.
+     * @param {string} sourceChatId The chat the branch was made from.
+     * @param {object[]} sourceItems That chat's favorites, as copied into the branch's metadata.
+     */
+    async function offerBranchFavorites(sourceChatId, sourceItems) {
+        const chatInfo = getCurrentChatInfo();
+        const chat = getContext().chat || [];
+        if (!chatInfo || !sourceItems.length) return;
+
+        // Only favorites whose messages (all of them, for scenes) are part of the shared prefix
+        const sharedItems = sourceItems.filter(favItem => {
+            if (favItem.unresolved) return false;
+            const startId = parseInt(favItem.messageId, 10);
+            if (favItem.kind === 'scene' && !findSceneMessageIds(chat, favItem)) return false;
+            return scoreAnchorMatch(chat[startId], favItem) > 0;
+        });
+        if (!sharedItems.length) return;
+
+        const sourceName = getPluginSettings().chats[sourceChatId]?.name || sourceChatId;
+        const confirmation = await callGenericPopup(
+            t`This chat was branched from "${sourceName}". Copy its ${sharedItems.length} favorite(s) from the shared messages into the branch?`,
+            POPUP_TYPE.CONFIRM,
+        );
+        if (!confirmation || getCurrentChatId() !== chatInfo.chatId) return;
+
+        withUndoStep(t`Copy favorites into branch`, [chatInfo.chatId], () => {
+            ensureChatEntry(chatInfo);
+            // Fresh ids, since the branch's favorites change independently from the original's
+            const copies = sharedItems.map(favItem => ({ ...structuredClone(favItem), id: uuidv4() }));
+            setChatItems(chatInfo.chatId, [...getChatItems(chatInfo.chatId), ...copies]);
+            saveFavorites([chatInfo.chatId]);
+        });
+        console.log(logPrefix, `Copied ${sharedItems.length} favorite(s) from ${sourceChatId} into branch ${chatInfo.chatId}.`);
+        refreshFavoriteViews();
+    }
+
+    /**
+     * Handles a deleted chat: asks whether to keep its favorites as an archive or delete them.
+     * @param {string} chatName The deleted chat's id (file name, with or without extension).
+     */
+    async function handleChatDeleted(chatName) {
+        const chatId = String(chatName ?? '').replace(/\.jsonl$/, '');
+        const chatData = getPluginSettings().chats[chatId];
+        if (!chatData || chatData.archived) return;
+        if (!getChatItems(chatId)) {
+            // Never read from its chat file, which is gone now: only the index entry is left
+            deleteChatEntry(chatId);
+            console.warn(logPrefix, `The ${chatData.count} favorite(s) of deleted chat ${chatId} were only stored in its file.`);
+            toastr.warning(t`The ${chatData.count} favorite(s) of the deleted chat "${chatData.name || chatId}" were stored in its file and were deleted with it.`, t`Favorites`);
+            saveFavorites([chatId]);
+            refreshFavoriteViews();
+            return;
+        }
+
+        let action = null;
+        const popup = new Popup(`
+            <h4>${t`The deleted chat "${$('<div>').text(chatData.name || chatId).html()}" had ${chatData.count} favorite(s).`}</h4>
+            <select id="fav-deleted-chat-action" class="text_pole">
+                <option value="archive">${t`Keep them as an archive`}</option>
+                <option value="purge">${t`Delete them`}</option>
+            </select>
+        `, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`OK`,
+            cancelButton: t`Keep`,
+            onClosing: (closingPopup) => {
+                action = closingPopup.result === POPUP_RESULT.AFFIRMATIVE
+                    ? String($(closingPopup.dlg).find('#fav-deleted-chat-action').val() || 'archive')
+                    : 'archive'; // Dismissing never deletes anything
+                return true;
+            },
+        });
+        await popup.show();
+
+        if (action === 'purge') {
+            withUndoStep(t`Delete favorites of deleted chat`, [chatId], () => deleteChatEntry(chatId), { destructive: true });
+            console.log(logPrefix, `Deleted the favorites of deleted chat ${chatId}.`);
+        } else {
+            withUndoStep(t`Archive favorites of deleted chat`, [chatId], () => archiveChatEntry(chatId));
+            console.log(logPrefix, `Archived the favorites of deleted chat ${chatId}.`);
+        }
+        saveFavorites([chatId]);
+        refreshFavoriteViews();
+    }
+
+
+    // --- Undo / Redo Functions ---
+
+    /**
+     * Copies the favorites of the given chats (and optionally the collections) so they can be restored later.
+     * Chats whose favorites are not at hand only have their index entry copied; a change cannot touch their items.
+     * @param {string[]} chatIds The chats a change touches.
+     * @param {boolean} [includeCollections] True if the change touches collections too.
+     * @returns {object|null} The captured state, or null while a composite change is already being captured.
+     */
+    function captureUndoState(chatIds, includeCollections = false) {
+        if (isCapturingUndoStep) return null; // Part of an outer step, which records the whole change
+        const settings = getPluginSettings();
+        const state = { chatIds, chats: {}, collections: undefined };
+
+        chatIds.forEach(chatId => {
+            const chatData = settings.chats[chatId];
+            state.chats[chatId] = chatData ? structuredClone({
+                meta: getSyncChatMeta(chatData),
+                items: getChatItems(chatId),
+                parked: Array.isArray(chatData.items),
+            }) : null;
+        });
+        if (includeCollections) {
+            state.collections = structuredClone(settings.collections);
+        }
+        return state;
+    }
+
+    /**
+     * Puts one chat's captured state back, keeping its favorites where they were kept.
+     * @param {string} chatId The chat ID.
+     * @param {object|null} chatState The chat's part of a state from captureUndoState(); null if it had no entry.
+     */
+    function restoreChatUndoState(chatId, chatState) {
+        const settings = getPluginSettings();
+        if (!chatState) {
+            deleteChatEntry(chatId);
+            return;
+        }
+
+        const chatData = settings.chats[chatId] = structuredClone(chatState.meta);
+        delete settings.removedChats[chatId];
+        if (!chatState.items) return; // Not at hand when captured, so unchanged since
+        const items = structuredClone(chatState.items);
+        if (!isChatStorageEnabled() || (chatState.parked && chatId !== hydratedChatId)) {
+            chatData.items = items;
+            chatItemsCache.delete(chatId);
+        } else {
+            chatItemsCache.set(chatId, items);
+        }
+        chatData.count = items.length;
+    }
+
+    /**
+     * Puts a captured state back. Restored items keep their original ids, notes and timestamps.
+     * @param {object} state A state from captureUndoState().
+     */
+    function applyUndoState(state) {
+        const settings = getPluginSettings();
+
+        Object.entries(state.chats).forEach(([chatId, chatState]) => restoreChatUndoState(chatId, chatState));
+        if (state.collections !== undefined) {
+            settings.collections = structuredClone(state.collections);
+        }
+        saveFavorites(Object.keys(state.chats));
+
+        // Restored items may point at positions that have shifted since
+        const currentChatId = getCurrentChatId();
+        if (currentChatId && currentChatId in state.chats) {
+            relinkFavorites();
+        }
+        refreshFavoriteViews();
+    }
+
+    /**
+     * Adds a finished change to the undo history. Does nothing if nothing actually changed.
+     * @param {string} label How the change is described to the user, e.g. "Edit note".
+     * @param {object|null} before The state captured before the change.
+     * @param {object} [options]
+     * @param {boolean} [options.destructive] True to offer an "Undo" toast, for changes that lose data.
+     */
+    function recordUndoStep(label, before, { destructive = false } = {}) {
+        if (!before) return;
+        const after = captureUndoState(before.chatIds, before.collections !== undefined);
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        const step = { id: uuidv4(), label, before, after };
+        undoStack.push(step);
+        if (undoStack.length > maxUndoSteps) undoStack.shift();
+        redoStack.length = 0;
+        updateUndoButtons();
+
+        if (destructive) {
+            toastr.info(t`Click here to undo.`, label, {
+                timeOut: undoToastDuration,
+                onclick: () => undoFavoriteChange(step.id),
+            });
+        }
+    }
+
+    /**
+     * Runs a change that mutates favorites in several places and records it as a single undo step.
+     * @param {string} label How the change is described to the user.
+     * @param {string[]} chatIds The chats the change touches.
+     * @param {Function} mutate Synchronous function performing the change.
+     * @param {object} [options]
+     * @param {boolean} [options.includeCollections] True if the change touches collections too.
+     * @param {boolean} [options.destructive] True to offer an "Undo" toast.
+     * @returns {*} Whatever mutate returns.
+     */
+    function withUndoStep(label, chatIds, mutate, { includeCollections = false, destructive = false } = {}) {
+        const before = captureUndoState(chatIds, includeCollections);
+        if (!before) return mutate(); // Already inside an outer step
+
+        isCapturingUndoStep = true;
+        try {
+            return mutate();
+        } finally {
+            isCapturingUndoStep = false;
+            recordUndoStep(label, before, { destructive });
+        }
+    }
+
+    /**
+     * Reverts the most recent favorite change.
+     * @param {string} [stepId] Only undo if this step is still the most recent one (used by the undo toast).
+     * @returns {boolean} True if something was undone.
+     */
+    function undoFavoriteChange(stepId) {
+        const step = undoStack[undoStack.length - 1];
+        if (!step || (stepId && step.id !== stepId)) {
+            if (stepId) toastr.warning(t`This change can no longer be undone from here; use the undo button in the favorites popup.`);
+            return false;
+        }
+
+        undoStack.pop();
+        redoStack.push(step);
+        applyUndoState(step.before);
+        updateUndoButtons();
+        console.log(logPrefix, `Undid "${step.label}".`);
+        toastr.success(t`Undid: ${step.label}`);
+        return true;
+    }
+
+    /**
+     * Re-applies the most recently undone favorite change.
+     * @returns {boolean} True if something was redone.
+     */
+    function redoFavoriteChange() {
+        const step = redoStack.pop();
+        if (!step) return false;
+
+        undoStack.push(step);
+        applyUndoState(step.after);
+        updateUndoButtons();
+        console.log(logPrefix, `Redid "${step.label}".`);
+        toastr.success(t`Redid: ${step.label}`);
+        return true;
+    }
+
+    /** Syncs the popup's undo/redo buttons with the history. */
+    function updateUndoButtons() {
+        if (!favoritesPopup) return;
+        const lastUndo = undoStack[undoStack.length - 1];
+        const lastRedo = redoStack[redoStack.length - 1];
+        $(favoritesPopup.dom).find('#fav-popup-undo')
+            .prop('disabled', !lastUndo)
+            .attr('title', lastUndo ? t`Undo: ${lastUndo.label}` : t`Nothing to undo`);
+        $(favoritesPopup.dom).find('#fav-popup-redo')
+            .prop('disabled', !lastRedo)
+            .attr('title', lastRedo ? t`Redo: ${lastRedo.label}` : t`Nothing to redo`);
+    }
+
+
+    // --- Pinned Context Functions ---
+
+    /**
+     * Gets a chat's settings for injecting pinned favorites into the prompt, filled in with defaults.
+     * @param {object|undefined} chatData The chat entry.
+     * @returns {{position: string, depth: number, budget: number, template: string, content: string}} The settings.
+     */
+    function getChatContextSettings(chatData) {
+        return { ...defaultContextSettings, ...(chatData?.contextSettings || {}) };
+    }
+
+    /**
+     * Formats one pinned favorite as a line of the injected prompt.
+     * @param {string} chatId The chat ID.
+     * @param {object} favItem The favorite item.
+     * @param {string} content "message", "note" (falls back to the message when there is none) or "both".
+     * @returns {string} The formatted text, empty if there is nothing to inject.
+     */
+    function formatPinnedFavorite(chatId, favItem, content) {
+        const note = String(favItem.note || '').trim();
+        if (content === 'note' && note) return `- ${note}`;
+
+        const text = getFavoriteFullText(chatId, favItem).trim();
+        if (!text) return note ? `- ${note}` : '';
+
+        // Scene text already names every speaker
+        const body = favItem.kind === 'scene' ? text : `${favItem.sender}: ${favItem.kind === 'excerpt' ? `"${text}"` : text}`;
+        return content === 'both' && note ? `- ${body}\n  (Note: ${note})` : `- ${body}`;
+    }
+
+    /**
+     * Rebuilds the extension prompt from the current chat's pinned favorites, in chat order,
+     * skipping favorites that would exceed the chat's token budget.
+     */
+    async function updatePinnedContext() {
+        try {
+            const runId = ++pinnedContextRunId;
+            const chatId = getCurrentChatId();
+            const chatData = chatId ? getPluginSettings().chats[chatId] : null;
+            const contextSettings = getChatContextSettings(chatData);
+            const pinnedItems = (chatId ? getChatItems(chatId) || [] : [])
+                .filter(item => item.pinned)
+                .sort((a, b) => parseInt(a.messageId, 10) - parseInt(b.messageId, 10) || a.timestamp - b.timestamp);
+
+            const template = contextSettings.template.includes('{{favorites}}') ? contextSettings.template : `${contextSettings.template}\n{{favorites}}`;
+            const injectedIds = new Set();
+            const lines = [];
+            let tokenCount = pinnedItems.length ? await getTokenCountAsync(template.replace('{{favorites}}', '')) : 0;
+
+            for (const favItem of pinnedItems) {
+                const line = formatPinnedFavorite(chatId, favItem, contextSettings.content);
+                if (!line) continue;
+                const lineTokens = await getTokenCountAsync(line);
+                if (contextSettings.budget > 0 && tokenCount + lineTokens > contextSettings.budget) continue;
+                tokenCount += lineTokens;
+                lines.push(line);
+                injectedIds.add(favItem.id);
+            }
+            if (runId !== pinnedContextRunId) return; // A newer update started while counting tokens
+
+            const promptText = lines.length ? template.replace('{{favorites}}', () => lines.join('\n')) : '';
+            const position = contextPositions[contextSettings.position] ?? extension_prompt_types.IN_CHAT;
+            setExtensionPrompt(pluginName, promptText, position, contextSettings.depth, false, extension_prompt_roles.SYSTEM);
+
+            pinnedContext = { chatId, pinnedCount: pinnedItems.length, injectedIds, tokenCount: lines.length ? tokenCount : 0 };
+            if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId === chatId) {
+                renderPinnedContextStatus();
+            }
+        } catch (error) {
+            // Runs un-awaited and from GENERATION_STARTED, where a rejection would abort the generation
+            console.error(logPrefix, "Failed to update the pinned favorites in the prompt:", error);
+        }
+    }
+
+    /**
+     * Pins a favorite into the prompt, or unpins it.
+     * @param {string} chatId The chat ID.
+     * @param {string} favId The unique ID of the favorite item.
+     */
+    function togglePinnedFavorite(chatId, favId) {
+        const favItem = getChatItems(chatId)?.find(item => item.id === favId);
+        if (!favItem) return;
+
+        withUndoStep(favItem.pinned ? t`Unpin from context` : t`Pin to context`, [chatId], () => {
+            if (favItem.pinned) delete favItem.pinned;
+            else favItem.pinned = true;
+        });
+        console.log(logPrefix, `${favItem.pinned ? 'Pinned' : 'Unpinned'} favorite ${favId} in chat ${chatId}.`);
+        saveFavorites([chatId]);
+
+        if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId === chatId) {
+            updateFavoritesPopup(chatId, currentPopupPage);
+        }
+    }
+
+    /**
+     * Generates the pin status shown next to a pinned favorite in the popup.
+     * @param {object} favItem The favorite item.
+     * @returns {string} HTML string, empty if the item is not pinned.
+     */
+    function renderPinBadge(favItem) {
+        if (!favItem.pinned) return '';
+        const injected = pinnedContext.chatId === currentPopupChatId && pinnedContext.injectedIds.has(favItem.id);
+        return injected
+            ? ` <span class="fav-pin-badge injected" title="${t`Injected into the prompt`}"><i class="fa-solid fa-thumbtack"></i> ${t`In context`}</span>`
+            : ` <span class="fav-pin-badge" title="${t`Pinned, but not injected: over the token budget, or this chat is not open`}"><i class="fa-solid fa-thumbtack"></i> ${t`Pinned`}</span>`;
+    }
+
+    /** Updates the popup's summary of what is injected, and the pin badges of the listed favorites. */
+    function renderPinnedContextStatus() {
+        if (!favoritesPopup || !currentPopupChatId) return;
+        const $dom = $(favoritesPopup.dom);
+        const chatData = getPluginSettings().chats[currentPopupChatId];
+        const chatItems = getChatItems(currentPopupChatId) || [];
+        const pinnedCount = chatItems.filter(item => item.pinned).length;
+        const isInjecting = pinnedContext.chatId === currentPopupChatId;
+
+        let statusText = t`No favorites pinned to the prompt.`;
+        if (pinnedCount > 0) {
+            statusText = isInjecting
+                ? t`${pinnedContext.injectedIds.size} of ${pinnedCount} pinned favorite(s) in the prompt (~${pinnedContext.tokenCount} tokens of ${getChatContextSettings(chatData).budget || t`unlimited`}).`
+                : t`${pinnedCount} pinned favorite(s); they are injected while this chat is open.`;
+        }
+        $dom.find('#fav-popup-context-text').text(statusText);
+
+        $dom.find(`#${popupListContainerId} .favorite-item`).each((_, element) => {
+            const $item = $(element);
+            const favItem = chatItems.find(item => item.id === $item.data('fav-id'));
+            $item.find('.fav-pin-badge').remove();
+            if (favItem) $item.find('.fav-meta').append(renderPinBadge(favItem));
+        });
+    }
+
+    /**
+     * Opens a dialog for a chat's pinned-context settings.
+     * @param {string} chatId The chat ID.
+     */
+    async function openContextSettings(chatId) {
+        const chatData = getPluginSettings().chats[chatId];
+        if (!chatData) {
+            alert(t`Favorite something in this chat first.`);
+            return;
+        }
+
+        const current = getChatContextSettings(chatData);
+        const option = (value, label, selected) => `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`;
+        const dialogHtml = `
+            <div class="favorites-tags-editor">
+                <h4>${t`Pinned favorites in the prompt`}</h4>
+                <label for="fav-context-position">${t`Position`}</label>
+                <select id="fav-context-position" class="text_pole">
+                    ${option('in_chat', t`In chat, at depth`, current.position)}
+                    ${option('in_prompt', t`After the main prompt`, current.position)}
+                    ${option('before_prompt', t`Before the main prompt`, current.position)}
+                </select>
+                <label for="fav-context-depth">${t`Depth (messages from the end, for "In chat")`}</label>
+                <input id="fav-context-depth" class="text_pole" type="number" min="0" value="${current.depth}">
+                <label for="fav-context-budget">${t`Token budget (0 for no limit)`}</label>
+                <input id="fav-context-budget" class="text_pole" type="number" min="0" value="${current.budget}">
+                <label for="fav-context-content">${t`Inject`}</label>
+                <select id="fav-context-content" class="text_pole">
+                    ${option('message', t`The message text`, current.content)}
+                    ${option('note', t`The note (the message if there is none)`, current.content)}
+                    ${option('both', t`The message and its note`, current.content)}
+                </select>
+                <label for="fav-context-template">${t`Template ({{favorites}} is replaced by the pinned favorites)`}</label>
+                <textarea id="fav-context-template" class="text_pole" rows="4">${$('<div>').text(current.template).html()}</textarea>
+            </div>
+        `;
+
+        let newSettings = null;
+        const popup = new Popup(dialogHtml, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Save`,
+            cancelButton: t`Cancel`,
+            onClosing: (closingPopup) => {
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    const $dlg = $(closingPopup.dlg);
+                    newSettings = {
+                        position: String($dlg.find('#fav-context-position').val()),
+                        depth: Math.max(0, parseInt(String($dlg.find('#fav-context-depth').val()), 10) || 0),
+                        budget: Math.max(0, parseInt(String($dlg.find('#fav-context-budget').val()), 10) || 0),
+                        content: String($dlg.find('#fav-context-content').val()),
+                        template: String($dlg.find('#fav-context-template').val() || '') || defaultContextSettings.template,
+                    };
+                }
+                return true;
+            },
+        });
+        await popup.show();
+        if (!newSettings) return;
+
+        withUndoStep(t`Change pinned context settings`, [chatId], () => {
+            chatData.contextSettings = newSettings;
+        });
+        console.log(logPrefix, `Updated pinned context settings for chat ${chatId}.`);
+        saveFavorites([chatId]);
+    }
+
+
+    // --- Scene Functions ---
+
+    /**
+     * Saves a range of messages from the current chat as a single "scene" favorite.
+     * The scene is anchored on its first message, so it re-links like any other favorite; its other messages
+     * are recognized by the copies stored with it (see findSceneMessageIds).
+     * @param {object} chatInfo - Result from getCurrentChatInfo().
+     * @param {number} startId - The mesid of the first message.
+     * @param {number} endId - The mesid of the last message.
+     * @param {string} title - The scene title.
+     * @param {string} note - The scene note.
+     * @returns {object|undefined} The new scene item.
+     */
+    function addScene(chatInfo, startId, endId, title, note) {
+        const chat = getContext().chat || [];
+        const startMessage = chat[startId];
+        if (!chatInfo || !startMessage || endId < startId || !chat[endId]) {
+            console.error(logPrefix, `addScene: Invalid range ${startId}-${endId}.`);
+            return;
+        }
+
+        const chatId = chatInfo.chatId;
+        const undoState = captureUndoState([chatId]);
+        const chatData = ensureChatEntry(chatInfo);
+        if (!getChatItems(chatId)) {
+            console.error(logPrefix, `addScene: The favorites of chat ${chatId} are not loaded.`);
+            return;
+        }
+        const sceneMessages = chat.slice(startId, endId + 1).map(message => ({
+            name: message.name,
+            role: getMessageRole(message),
+            text: message.mes || '',
+            send_date: message.send_date,
+        }));
+
+        const newItem = createFavoriteItem(chatInfo, startMessage, startId, {
+            kind: 'scene',
+            title: title || t`Scene at message ${startId}`,
+            note: note || "",
+            snapshot: { ...createMessageSnapshot(startMessage, chatInfo), text: formatSceneText(sceneMessages) },
+            scene: { messages: sceneMessages },
+        });
+
+        setChatItems(chatId, [...getChatItems(chatId), newItem]);
+
+        console.log(logPrefix, `Saved scene ${startId}-${endId} in chat ${chatId}. New count: ${chatData.count}`);
+        saveFavorites([chatId]);
+        recordUndoStep(t`Save scene`, undoState);
+
+        if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId === chatId) {
+            updateFavoritesPopup(chatId, currentPopupPage);
+        }
+        renderPluginPage();
+        injectOrUpdateFavoriteIcons();
+
+        return newItem;
+    }
+
+    /**
+     * Joins scene messages into one plain text block, used for snapshots, search and export.
+     * @param {Array<{name: string, text: string}>} sceneMessages The scene's messages.
+     * @returns {string} The scene text.
+     */
+    function formatSceneText(sceneMessages) {
+        return sceneMessages.map(message => `${message.name}: ${message.text}`).join('\n\n');
+    }
+
+    /**
+     * Gets a scene's messages, from the live chat when available or from the stored excerpt otherwise.
+     * @param {object} favItem The scene item.
+     * @param {boolean} useLiveChat Whether the scene's chat is open and the scene is resolved.
+     * @returns {Array<{name: string, role: string, text: string, send_date: *}>} The scene's messages.
+     */
+    function getSceneMessages(favItem, useLiveChat) {
+        const storedMessages = favItem.scene?.messages || [];
+        if (!useLiveChat || favItem.unresolved) return storedMessages;
+
+        const chat = getContext().chat || [];
+        const liveIds = findSceneMessageIds(chat, favItem);
+        if (!liveIds) return storedMessages; // Messages inside the scene were deleted or added since
+
+        return liveIds.map(id => chat[id]).map(message => ({
+            name: message.name,
+            role: getMessageRole(message),
+            text: message.mes || '',
+            send_date: message.send_date,
+        }));
+    }
+
+    /**
+     * Finds a scene's messages in a chat, starting at its anchor. Every message must still match the one stored
+     * with the scene, so a message deleted from or inserted into the scene is noticed.
+     * @param {object[]} chat The chat messages.
+     * @param {object} favItem The scene item.
+     * @param {number} [startId] Where the scene starts in this chat; defaults to its mesid.
+     * @returns {number[]|null} The mesids of the scene's messages, or null if they no longer line up.
+     */
+    function findSceneMessageIds(chat, favItem, startId = parseInt(favItem.messageId, 10)) {
+        const storedMessages = favItem.scene?.messages || [];
+        if (!storedMessages.length) return null;
+        const ids = storedMessages.map((_, offset) => startId + offset);
+        return ids.every((id, offset) => isSameSceneMessage(chat[id], storedMessages[offset])) ? ids : null;
+    }
+
+    /**
+     * Checks whether a chat message is the one stored with a scene: same sender, and sent at the stored
+     * date on any of its swipes (swiping changes the message's own date).
+     * @param {object} message The chat message.
+     * @param {{name: string, send_date: *}} storedMessage The scene's copy of it.
+     * @returns {boolean} True if they match.
+     */
+    function isSameSceneMessage(message, storedMessage) {
+        if (!message || message.name !== storedMessage.name) return false;
+        if (storedMessage.send_date === undefined) return true;
+        const sendDates = [message.send_date, ...(message.swipe_info || []).map(info => info?.send_date)];
+        return sendDates.some(sendDate => String(sendDate) === String(storedMessage.send_date));
+    }
+
+    /**
+     * Maps each mesid covered by a resolved scene of the current chat to that scene's title.
+     * @param {string} chatId The chat ID.
+     * @returns {Map<number, string>} mesid to scene title.
+     */
+    function getSceneCoverage(chatId) {
+        const coverage = new Map();
+        const chat = getContext().chat || [];
+        (getChatItems(chatId) || [])
+            .filter(item => item.kind === 'scene' && !item.unresolved)
+            .forEach(item => {
+                // Only the anchor is known for sure once messages inside the scene have changed
+                const ids = findSceneMessageIds(chat, item) || [parseInt(item.messageId, 10)];
+                ids.forEach(id => {
+                    if (!coverage.has(id)) coverage.set(id, item.title);
+                });
+            });
+        return coverage;
+    }
+
+    /**
+     * Generates the collapsible conversation excerpt for a scene.
+     * @param {object} favItem The scene item.
+     * @param {boolean} useLiveChat Whether the scene's chat is open and the scene is resolved.
+     * @returns {string} HTML string.
+     */
+    function renderSceneExcerpt(favItem, useLiveChat) {
+        const sceneMessages = getSceneMessages(favItem, useLiveChat);
+        const startId = parseInt(favItem.messageId, 10);
+        const linesHtml = sceneMessages.map(message => `
+            <div class="fav-scene-line ${message.role}">
+                <b>${$('<div>').text(message.name).html()}:</b>
+                <div class="fav-message-text mes_text">${formatFavoriteText(message.text, message.name, message.role)}</div>
+            </div>`).join('');
+
+        return `
+            <div class="fav-scene-title"><i class="fa-solid fa-film"></i> ${$('<div>').text(favItem.title || t`Scene`).html()}</div>
+            <details class="fav-scene">
+                <summary>${t`${sceneMessages.length} messages (#${startId}–#${startId + sceneMessages.length - 1})`}</summary>
+                ${linesHtml}
+            </details>
+        `;
+    }
+
+    /** Enters scene selection mode, where the next two message clicks pick the start and end of a scene. */
+    function startSceneSelection() {
+        if (!getCurrentChatInfo()) {
+            alert(t`Please open a chat first.`);
+            return;
+        }
+
+        sceneSelectionStartId = null;
+        isSelectingScene = true;
+        $('body').addClass('fav-scene-selecting');
+        toastr.info(t`Click the first message of the scene, then the last one. Press Esc to cancel.`, t`Save Scene`);
+    }
+
+    /** Leaves scene selection mode and clears its highlights. */
+    function cancelSceneSelection() {
+        isSelectingScene = false;
+        sceneSelectionStartId = null;
+        $('body').removeClass('fav-scene-selecting');
+        $('#chat .mes').removeClass('fav-scene-start fav-scene-range');
+    }
+
+    /**
+     * Handles message clicks while in scene selection mode.
+     * @param {Event} event - The click event object.
+     */
+    async function handleSceneSelectionClick(event) {
+        if (!isSelectingScene) return;
+        if ($(event.target).closest('.mes_buttons, .extraMesButtons, .swipe_left, .swipe_right').length) return;
+
+        const messageId = parseInt($(event.target).closest('.mes').attr('mesid'), 10);
+        if (!Number.isInteger(messageId)) return;
+
+        if (sceneSelectionStartId === null) {
+            sceneSelectionStartId = messageId;
+            $(`#chat .mes[mesid="${messageId}"]`).addClass('fav-scene-start');
+            return;
+        }
+
+        const startId = Math.min(sceneSelectionStartId, messageId);
+        const endId = Math.max(sceneSelectionStartId, messageId);
+        $('#chat .mes').each(function () {
+            const id = parseInt($(this).attr('mesid'), 10);
+            $(this).toggleClass('fav-scene-range', id >= startId && id <= endId);
+        });
+
+        isSelectingScene = false; // Further clicks shouldn't restart the selection while the dialog is open
+        const details = await promptSceneDetails(startId, endId);
+        if (details) {
+            addScene(getCurrentChatInfo(), startId, endId, details.title, details.note);
+        }
+        cancelSceneSelection();
+    }
+
+    /**
+     * Asks for the title and note of a new scene.
+     * @param {number} startId The mesid of the first message.
+     * @param {number} endId The mesid of the last message.
+     * @returns {Promise<{title: string, note: string}|null>} The details, or null if cancelled.
+     */
+    async function promptSceneDetails(startId, endId) {
+        let details = null;
+        const popup = new Popup(`
+            <div class="favorites-tags-editor">
+                <h4>${t`Save scene (messages #${startId}–#${endId})`}</h4>
+                <label for="fav-scene-title-input">${t`Title`}</label>
+                <input id="fav-scene-title-input" class="text_pole" type="text" placeholder="${t`e.g. The confession`}">
+                <label for="fav-scene-note-input">${t`Note`}</label>
+                <textarea id="fav-scene-note-input" class="text_pole" rows="3"></textarea>
+            </div>
+        `, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Save`,
+            cancelButton: t`Cancel`,
+            onClosing: (closingPopup) => {
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    const $dlg = $(closingPopup.dlg);
+                    details = {
+                        title: String($dlg.find('#fav-scene-title-input').val() || '').trim(),
+                        note: String($dlg.find('#fav-scene-note-input').val() || '').trim(),
+                    };
+                }
+                return true;
+            },
+        });
+        await popup.show();
+        return details;
+    }
+
+
+    // --- Excerpt Functions ---
+
+    /**
+     * Saves part of a message's text as an "excerpt" favorite.
+     * @param {object} chatInfo - Result from getCurrentChatInfo().
+     * @param {number} messageId - The mesid of the message.
+     * @param {{text: string, start: number, end: number}} excerpt - The selected text and its character offsets in .mes_text.
+     * @returns {object|undefined} The new excerpt item.
+     */
+    function addExcerpt(chatInfo, messageId, excerpt) {
+        const message = getChatMessageById(messageId);
+        if (!chatInfo || !message || !excerpt?.text) {
+            console.error(logPrefix, `addExcerpt: Invalid message ${messageId} or empty excerpt.`);
+            return;
+        }
+
+        const chatId = chatInfo.chatId;
+        const undoState = captureUndoState([chatId]);
+        const chatData = ensureChatEntry(chatInfo);
+        if (!getChatItems(chatId)) {
+            console.error(logPrefix, `addExcerpt: The favorites of chat ${chatId} are not loaded.`);
+            return;
+        }
+
+        const newItem = createFavoriteItem(chatInfo, message, messageId, {
+            kind: 'excerpt',
+            excerpt: { text: excerpt.text, start: excerpt.start, end: excerpt.end },
+        });
+
+        setChatItems(chatId, [...getChatItems(chatId), newItem]);
+
+        console.log(logPrefix, `Saved excerpt of message ${messageId} in chat ${chatId}. New count: ${chatData.count}`);
+        saveFavorites([chatId]);
+        recordUndoStep(t`Save excerpt`, undoState);
+
+        if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId === chatId) {
+            updateFavoritesPopup(chatId, currentPopupPage);
+        }
+        renderPluginPage();
+        injectOrUpdateFavoriteIcons(); // Also applies the highlight
+
+        return newItem;
+    }
+
+    /**
+     * Reads the current text selection if it lies within a single message's text.
+     * @returns {{messageId: number, text: string, start: number, end: number}|null} The selection, or null.
+     */
+    function getMessageTextSelection() {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        const $startText = $(range.startContainer).closest('.mes_text');
+        const $endText = $(range.endContainer).closest('.mes_text');
+        if (!$startText.length || $startText[0] !== $endText[0]) return null;
+
+        const messageId = parseInt($startText.closest('.mes').attr('mesid'), 10);
+        const text = range.toString();
+        if (!Number.isInteger(messageId) || !text.trim()) return null;
+
+        // Offsets are measured in the rendered text, the same space the highlighter works in
+        const prefixRange = document.createRange();
+        prefixRange.selectNodeContents($startText[0]);
+        prefixRange.setEnd(range.startContainer, range.startOffset);
+        const start = prefixRange.toString().length;
+
+        return { messageId, text, start, end: start + text.length };
+    }
+
+    /** Shows the floating "save excerpt" button next to a text selection inside a message, or hides it. */
+    function updateExcerptButton() {
+        const $button = $(`#${excerptButtonId}`);
+        pendingExcerpt = getMessageTextSelection();
+        if (!pendingExcerpt) {
+            $button.hide();
+            return;
+        }
+
+        const rect = window.getSelection().getRangeAt(0).getBoundingClientRect();
+        $button.css({
+            top: `${Math.max(0, rect.top - 36)}px`,
+            left: `${Math.max(0, rect.left + rect.width / 2 - 50)}px`,
+        }).show();
+    }
+
+    /** Handles clicks on the floating excerpt button. */
+    function handleSaveExcerptClick() {
+        const excerpt = pendingExcerpt;
+        $(`#${excerptButtonId}`).hide();
+        pendingExcerpt = null;
+        if (!excerpt) return;
+
+        addExcerpt(getCurrentChatInfo(), excerpt.messageId, excerpt);
+        window.getSelection()?.removeAllRanges();
+    }
+
+    /**
+     * Wraps the characters [start, end) of an element's text in highlight marks, across text node boundaries.
+     * @param {HTMLElement} element The .mes_text element.
+     * @param {number} start Start offset in the element's text.
+     * @param {number} end End offset in the element's text.
+     * @param {string} favId The excerpt's favorite ID, stored on each mark.
+     */
+    function wrapTextRange(element, start, end, favId) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const targets = [];
+        let offset = 0;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const nodeStart = offset;
+            const nodeEnd = offset + node.nodeValue.length;
+            offset = nodeEnd;
+            if (nodeEnd <= start || nodeStart >= end) continue;
+            targets.push({ node, from: Math.max(0, start - nodeStart), to: Math.min(node.nodeValue.length, end - nodeStart) });
+        }
+
+        // Wrap after walking, since splitting nodes would disturb the walker
+        targets.forEach(({ node, from, to }) => {
+            const range = document.createRange();
+            range.setStart(node, from);
+            range.setEnd(node, to);
+            const mark = document.createElement('mark');
+            mark.className = excerptHighlightClass;
+            mark.dataset.favId = favId;
+            range.surroundContents(mark);
+        });
+    }
+
+    /** Re-applies the highlights of the current chat's excerpts to the rendered messages. */
+    function highlightExcerpts() {
+        const chatId = getCurrentChatId();
+
+        // Start from a clean slate so removed or moved excerpts don't leave stale marks behind
+        $(`#chat mark.${excerptHighlightClass}`).each(function () {
+            const parent = this.parentNode;
+            $(this).replaceWith(this.childNodes);
+            parent?.normalize();
+        });
+
+        if (!chatId) return;
+        (getChatItems(chatId) || [])
+            .filter(item => item.kind === 'excerpt' && !item.unresolved && item.excerpt?.text)
+            .forEach(item => {
+                const message = getChatMessageById(item.messageId);
+                if (getCurrentSwipeId(message) !== (item.swipeId ?? 0)) return; // Excerpt belongs to another swipe
+
+                const textElement = $(`#chat .mes[mesid="${item.messageId}"] .mes_text`)[0];
+                if (!textElement) return;
+
+                // Trust the stored offsets only if they still cover the same text; otherwise search for it
+                const fullText = textElement.textContent || '';
+                let { start, end } = item.excerpt;
+                if (fullText.substring(start, end) !== item.excerpt.text) {
+                    start = fullText.indexOf(item.excerpt.text);
+                    if (start === -1) return;
+                    end = start + item.excerpt.text.length;
+                }
+                wrapTextRange(textElement, start, end, item.id);
+            });
+    }
+
+
+    // --- Tags and Collections Functions ---
+
+    /**
+     * Splits comma-separated tag input into a clean list, dropping blanks and case-insensitive duplicates.
+     * @param {string} input The raw input.
+     * @returns {string[]} The tags.
+     */
+    function parseTagInput(input) {
+        const seen = new Set();
+        return String(input || '')
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Creates a named collection, or returns the existing one with the same name (case-insensitive).
+     * @param {string} name The collection name.
+     * @returns {object|null} The collection { id, name, createdAt }, or null if the name is blank.
+     */
+    function createCollection(name) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) return null;
+
+        const collections = getPluginSettings().collections;
+        const existing = Object.values(collections).find(c => c.name.toLowerCase() === trimmedName.toLowerCase());
+        if (existing) return existing;
+
+        const collection = { id: uuidv4(), name: trimmedName, createdAt: Date.now() };
+        collections[collection.id] = collection;
+        console.log(logPrefix, `Created collection "${trimmedName}".`);
+        return collection;
+    }
+
+    /**
+     * Counts how many favorites across all chats belong to a collection.
+     * @param {string} collectionId The collection ID.
+     * @returns {number} The number of favorites.
+     */
+    function countCollectionItems(collectionId) {
+        return Object.values(getPluginSettings().chats)
+            .reduce((total, chatData) => total + (chatData.summary?.collections[collectionId] || 0), 0);
+    }
+
+    /**
+     * Renames a collection.
+     * @param {string} collectionId The collection ID.
+     * @param {string} newName The new name.
+     * @returns {boolean} True if renamed.
+     */
+    function renameCollection(collectionId, newName) {
+        const collections = getPluginSettings().collections;
+        const trimmedName = String(newName || '').trim();
+        if (!collections[collectionId] || !trimmedName) return false;
+
+        const undoState = captureUndoState([], true);
+        collections[collectionId].name = trimmedName;
+        saveFavorites([]);
+        recordUndoStep(t`Rename collection`, undoState);
+        return true;
+    }
+
+    /**
+     * Moves every favorite of one collection into another and deletes the source collection.
+     * @param {string} sourceId The collection to merge away.
+     * @param {string} targetId The collection that receives the favorites.
+     * @returns {Promise<boolean>} True if merged.
+     */
+    async function mergeCollections(sourceId, targetId) {
+        const collections = getPluginSettings().collections;
+        if (!collections[sourceId] || !collections[targetId] || sourceId === targetId) return false;
+
+        await loadAllChatItems();
+        const entries = collectAllFavorites().filter(({ favItem }) => favItem.collections?.includes(sourceId));
+        const chatIds = [...new Set(entries.map(({ chatId }) => chatId))];
+        const undoState = captureUndoState(chatIds, true);
+        entries.forEach(({ favItem }) => {
+            favItem.collections = favItem.collections.filter(id => id !== sourceId);
+            if (!favItem.collections.includes(targetId)) favItem.collections.push(targetId);
+        });
+        delete collections[sourceId];
+        saveFavorites(chatIds);
+        recordUndoStep(t`Merge collections`, undoState, { destructive: true });
+        return true;
+    }
+
+    /**
+     * Deletes a collection. The favorites in it are kept, they just leave the collection.
+     * @param {string} collectionId The collection ID.
+     * @returns {Promise<boolean>} True if deleted.
+     */
+    async function deleteCollection(collectionId) {
+        const collections = getPluginSettings().collections;
+        if (!collections[collectionId]) return false;
+
+        await loadAllChatItems();
+        const entries = collectAllFavorites().filter(({ favItem }) => favItem.collections?.includes(collectionId));
+        const chatIds = [...new Set(entries.map(({ chatId }) => chatId))];
+        const undoState = captureUndoState(chatIds, true);
+        entries.forEach(({ favItem }) => {
+            favItem.collections = favItem.collections.filter(id => id !== collectionId);
+        });
+        delete collections[collectionId];
+        saveFavorites(chatIds);
+        recordUndoStep(t`Delete collection`, undoState, { destructive: true });
+        return true;
+    }
+
+    /**
+     * Generates the tag and collection chips shown on a favorite item.
+     * @param {object} favItem The favorite item object.
+     * @returns {string} HTML string, empty if the item has neither.
+     */
+    function renderTagChips(favItem) {
+        const collections = getPluginSettings().collections;
+        const chips = [
+            ...(favItem.collections || [])
+                .filter(id => collections[id])
+                .map(id => `<span class="fav-chip fav-collection-chip"><i class="fa-solid fa-folder"></i> ${$('<div>').text(collections[id].name).html()}</span>`),
+            ...(favItem.tags || []).map(tag => `<span class="fav-chip fav-tag-chip">#${$('<div>').text(tag).html()}</span>`),
+        ];
+        return chips.length ? `<div class="fav-chips">${chips.join('')}</div>` : '';
+    }
+
+    /**
+     * Opens a dialog for editing a favorite's tags and collections.
+     * @param {string} chatId The chat ID.
+     * @param {string} favId The unique ID of the favorite item.
+     */
+    async function openTagsEditor(chatId, favId) {
+        const favItem = getChatItems(chatId)?.find(item => item.id === favId);
+        if (!favItem) {
+            console.error(logPrefix, `Favorite item ${favId} not found for editing tags.`);
+            return;
+        }
+
+        const collections = Object.values(getPluginSettings().collections).sort((a, b) => a.name.localeCompare(b.name));
+        const collectionsHtml = collections.length
+            ? collections.map(c => `
+                <label class="checkbox_label">
+                    <input type="checkbox" class="fav-collection-option" value="${c.id}" ${favItem.collections?.includes(c.id) ? 'checked' : ''}>
+                    ${$('<div>').text(c.name).html()}
+                </label>`).join('')
+            : `<div class="empty-state">${t`No collections yet.`}</div>`;
+        const currentRating = getFavoriteRating(favItem);
+        let ratingOptionsHtml = `<option value="0">${t`Not rated`}</option>`;
+        for (let value = 1; value <= maxRating; value++) {
+            ratingOptionsHtml += `<option value="${value}" ${value === currentRating ? 'selected' : ''}>${'★'.repeat(value)}</option>`;
+        }
+
+        const editorHtml = `
+            <div class="favorites-tags-editor">
+                <h4>${t`Tags and Collections`}</h4>
+                <label for="fav-rating-input">${t`Rating`}</label>
+                <select id="fav-rating-input" class="text_pole">${ratingOptionsHtml}</select>
+                <label for="fav-tags-input">${t`Tags (comma-separated)`}</label>
+                <input id="fav-tags-input" class="text_pole" type="text" value="${$('<div>').text((favItem.tags || []).join(', ')).html()}">
+                <div class="fav-collections-options">${collectionsHtml}</div>
+                <label for="fav-new-collection-input">${t`Add to a new collection`}</label>
+                <input id="fav-new-collection-input" class="text_pole" type="text" placeholder="${t`e.g. Best lines`}">
+            </div>
+        `;
+
+        let tags = null;
+        let rating = 0;
+        let selectedCollectionIds = [];
+        let newCollectionName = '';
+        const popup = new Popup(editorHtml, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Save`,
+            cancelButton: t`Cancel`,
+            onClosing: (closingPopup) => {
+                // Read the inputs before the dialog is torn down
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    const $dlg = $(closingPopup.dlg);
+                    tags = parseTagInput($dlg.find('#fav-tags-input').val());
+                    rating = Number($dlg.find('#fav-rating-input').val()) || 0;
+                    selectedCollectionIds = $dlg.find('.fav-collection-option:checked').map((_, el) => String($(el).val())).get();
+                    newCollectionName = String($dlg.find('#fav-new-collection-input').val() || '');
+                }
+                return true;
+            },
+        });
+
+        try {
+            await popup.show();
+        } catch (error) {
+            console.error(logPrefix, "Error during tags editor popup:", error);
+            return;
+        }
+        if (tags === null) return; // Cancelled
+
+        withUndoStep(t`Edit tags`, [chatId], () => {
+            const newCollection = createCollection(newCollectionName);
+            if (newCollection && !selectedCollectionIds.includes(newCollection.id)) {
+                selectedCollectionIds.push(newCollection.id);
+            }
+
+            favItem.tags = tags;
+            favItem.collections = selectedCollectionIds;
+            if (rating) favItem.rating = rating;
+            else delete favItem.rating;
+            console.log(logPrefix, `Updated tags/collections for favorite ${favId} in chat ${chatId}.`);
+            saveFavorites([chatId]);
+        }, { includeCollections: true });
+
+        refreshFavoriteViews(); // The rating also shows on the message icon
+    }
+
+
+    // --- Rating Functions ---
+
+    /**
+     * Gets the rating of a favorite.
+     * @param {object} [favItem] The favorite item.
+     * @returns {number} 1 to maxRating, or 0 if it is unrated.
+     */
+    function getFavoriteRating(favItem) {
+        const rating = parseInt(favItem?.rating, 10);
+        return rating >= 1 && rating <= maxRating ? rating : 0;
+    }
+
+    /**
+     * Generates a row of rating stars; clicking one sets the rating (see rateFavorite).
+     * @param {number} rating The rating to show, 0 for none.
+     * @returns {string} HTML string.
+     */
+    function renderRatingStars(rating) {
+        let starsHtml = '';
+        for (let value = 1; value <= maxRating; value++) {
+            const title = value === rating ? t`Clear the rating` : t`Rate ${value} of ${maxRating}`;
+            starsHtml += `<i class="fa-${value <= rating ? 'solid' : 'regular'} fa-star fav-rating-star${value <= rating ? ' filled' : ''}" data-rating="${value}" title="${title}"></i>`;
+        }
+        return `<span class="fav-rating">${starsHtml}</span>`;
+    }
+
+    /**
+     * Generates the options of a minimum rating filter.
+     * @returns {string} HTML string.
+     */
+    function renderMinRatingOptions() {
+        let optionsHtml = `<option value="0">${t`Any rating`}</option>`;
+        for (let value = 1; value <= maxRating; value++) {
+            const stars = '★'.repeat(value);
+            optionsHtml += `<option value="${value}">${value === maxRating ? stars : t`${stars} or more`}</option>`;
+        }
+        return optionsHtml;
+    }
+
+    /**
+     * Rates a favorite. Choosing the rating it already has clears it.
+     * @param {string} chatId The chat the favorite belongs to.
+     * @param {string} favId The unique ID of the favorite item.
+     * @param {number} rating 1 to maxRating, or 0 to clear the rating.
+     */
+    function rateFavorite(chatId, favId, rating) {
+        const favItem = getChatItems(chatId)?.find(item => item.id === favId);
+        if (!favItem) return;
+
+        const newRating = rating === getFavoriteRating(favItem) ? 0 : rating;
+        withUndoStep(newRating ? t`Rate favorite` : t`Clear rating`, [chatId], () => {
+            if (newRating) favItem.rating = newRating;
+            else delete favItem.rating;
+        });
+        console.log(logPrefix, `Rated favorite ${favId} in chat ${chatId}: ${newRating || 'none'}.`);
+        saveFavorites([chatId]);
+        refreshFavoriteViews();
+    }
+
+    /**
+     * Shows the rating picker above a message's favorite icon.
+     * @param {Event} event The mouseenter event on the icon.
+     */
+    function showRatingPicker(event) {
+        const messageId = $(event.currentTarget).closest('.mes').attr('mesid');
+        const chatId = getCurrentChatId();
+        if (!messageId || !chatId || isSelectingScene) return;
+
+        clearTimeout(ratingPickerHideTimer);
+        const favItem = findFavoriteForMessage(chatId, messageId, getCurrentSwipeId(getChatMessageById(messageId)));
+        let $picker = $(`#${ratingPickerId}`);
+        if (!$picker.length) {
+            $picker = $(`<div id="${ratingPickerId}"></div>`).appendTo('body');
+        }
+        const iconRect = event.currentTarget.getBoundingClientRect();
+        $picker.data('mesid', messageId).html(renderRatingStars(getFavoriteRating(favItem))).show();
+        $picker.css({
+            top: Math.max(0, iconRect.top - $picker.outerHeight() - 4),
+            left: Math.max(0, Math.min(window.innerWidth - $picker.outerWidth(), iconRect.left + iconRect.width / 2 - $picker.outerWidth() / 2)),
+        });
+    }
+
+    /** Hides the rating picker after a short delay, so the pointer can move from the icon onto it. */
+    function hideRatingPickerSoon() {
+        clearTimeout(ratingPickerHideTimer);
+        ratingPickerHideTimer = setTimeout(() => $(`#${ratingPickerId}`).hide(), ratingPickerHideDelay);
+    }
+
+    /**
+     * Handles clicks on a star of the rating picker: favorites the message if needed and rates it.
+     * @param {Event} event The click event on a star.
+     */
+    function handleRatingPickerClick(event) {
+        const rating = Number($(event.currentTarget).data('rating'));
+        const $picker = $(`#${ratingPickerId}`);
+        const messageId = String($picker.data('mesid'));
+        const chatInfo = getCurrentChatInfo();
+        const message = getChatMessageById(messageId);
+        $picker.hide();
+        if (!chatInfo || !message) return;
+
+        const favItem = findFavoriteForMessage(chatInfo.chatId, messageId, getCurrentSwipeId(message));
+        if (favItem) {
+            rateFavorite(chatInfo.chatId, favItem.id, rating);
+            return;
+        }
+
+        withUndoStep(t`Rate favorite`, [chatInfo.chatId], () => {
+            const item = addFavorite(chatInfo, message, messageId);
+            if (item) item.rating = rating;
+        });
+        saveFavorites([chatInfo.chatId]);
+        refreshFavoriteViews();
+    }
+
+
+    // --- UI Update Functions ---
+
+    /**
+     * Updates the visual state of a favorite icon on a specific message.
+     * @param {jQuery} $messageElement - The jQuery object for the message container (.mes).
+     * @param {boolean} isFav - True to show favorited state, false for default.
+     * @param {boolean} [otherSwipeFavorited] - True if a swipe other than the shown one is favorited.
+     * @param {number} [rating] - The favorite's rating, 0 if it is unrated.
+     */
+    function updateFavoriteIconState($messageElement, isFav, otherSwipeFavorited = false, rating = 0) {
+        const $icon = $messageElement.find(favIconSelector + ' i');
+        if ($icon.length) {
+            const display = getDisplaySettings();
+            $icon.closest(favIconSelector)
+                .toggleClass('favorited', isFav)
+                .toggleClass('other-swipe-favorited', !isFav && otherSwipeFavorited)
+                .find('.fav-rating-badge').text(isFav && rating ? rating : '');
+            if (isFav) {
+                $icon.attr('class', display.favoritedIconClass); // Replaces the classes, which users can change
+                $icon.closest(favIconSelector).attr('title', rating
+                    ? t`Unfavorite Message, rated ${rating} of ${maxRating} (hover to rate, right-click for tags and collections)`
+                    : t`Unfavorite Message (hover to rate, right-click for tags and collections)`);
+            } else {
+                $icon.attr('class', display.unfavoritedIconClass);
+                 $icon.closest(favIconSelector).attr('title', otherSwipeFavorited
+                     ? t`Favorite this swipe (another swipe is already favorited; hover to rate, right-click for tags and collections)`
+                     : t`Favorite Message (hover to rate, right-click for tags and collections)`);
+            }
+        } else {
+             // console.warn(logPrefix, `Icon not found in message element for update:`, $messageElement.attr('mesid'));
+        }
+    }
+
+    /**
+     * Iterates through currently visible messages, injects the favorite icon if missing,
+     * and updates its state based on stored data.
+     */
+    function injectOrUpdateFavoriteIcons() {
+        const chatInfo = getCurrentChatInfo();
+        if (!chatInfo) return; // No active chat
+
+        const chatId = chatInfo.chatId;
+        const sceneCoverage = getSceneCoverage(chatId);
+        // console.log(logPrefix, "Updating icons for chat:", chatId);
+
+        // Select all message blocks currently in the DOM
+        $('#chat .mes').each(function() {
             const $messageElement = $(this);
             const $extraButtons = $messageElement.find('.extraMesButtons');
             let $iconContainer = $extraButtons.find(favIconSelector);
 
-            // 1. Inject icon if it doesn't exist
-            if ($extraButtons.length && $iconContainer.length === 0) {
-                // Prepend is often better visually for button order
-                $extraButtons.prepend(messageButtonHtml);
-                $iconContainer = $extraButtons.find(favIconSelector); // Re-select after adding
-                // console.log(logPrefix, 'Injected icon for message:', $messageElement.attr('mesid'));
+            // 1. Inject icon if it doesn't exist
+            if ($extraButtons.length && $iconContainer.length === 0) {
+                // Prepend is often better visually for button order, but users can choose
+                if (getDisplaySettings().iconPlacement === 'append') {
+                    $extraButtons.append(messageButtonHtml);
+                } else {
+                    $extraButtons.prepend(messageButtonHtml);
+                }
+                $iconContainer = $extraButtons.find(favIconSelector); // Re-select after adding
+                // console.log(logPrefix, 'Injected icon for message:', $messageElement.attr('mesid'));
+            }
+
+            // 2. Update state if icon container exists
+            if ($iconContainer.length > 0) {
+                const messageId = $messageElement.attr('mesid');
+                if (messageId) {
+                    // The star reflects the swipe currently shown
+                    const swipeId = getCurrentSwipeId(getChatMessageById(messageId));
+                    const favItem = findFavoriteForMessage(chatId, messageId, swipeId);
+                    updateFavoriteIconState($messageElement, !!favItem, isFavorited(chatId, messageId), getFavoriteRating(favItem));
+
+                    // Mark messages that belong to a saved scene
+                    const sceneTitle = sceneCoverage.get(parseInt(messageId, 10));
+                    $iconContainer.toggleClass('in-scene', sceneTitle !== undefined);
+                    if (sceneTitle !== undefined) {
+                        $iconContainer.attr('title', `${$iconContainer.attr('title')} - ${t`part of scene "${sceneTitle}"`}`);
+                    }
+                } else {
+                    // console.warn(logPrefix, "Message element missing mesid attribute:", $messageElement);
+                }
+            }
+        });
+        highlightExcerpts();
+        renderMinimapDebounced(); // The chat may have grown or been switched
+        // console.log(logPrefix, "Icon update complete.");
+    }
+
+
+    /** Refreshes the star icons, the popup, the global browser and the overview after favorites changed. */
+    function refreshFavoriteViews() {
+        injectOrUpdateFavoriteIcons();
+        if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId) {
+            updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+        }
+        if (globalBrowserPopup && globalBrowserPopup.isShown()) {
+            updateGlobalBrowser(globalBrowserPage);
+        }
+        renderPluginPage(currentPluginPagePage);
+    }
+
+
+    // --- Navigation Functions ---
+
+    /**
+     * Opens the chat a favorite belongs to, selecting its character or group first if needed.
+     * @param {string} chatId The chat ID to open.
+     * @returns {Promise<boolean>} True if the chat is now the current chat.
+     */
+    async function switchToChat(chatId) {
+        if (getCurrentChatId() === chatId) return true;
+
+        const chatData = getPluginSettings().chats[chatId];
+        if (!chatData) {
+            console.warn(logPrefix, `Cannot switch to chat ${chatId}: no stored chat info.`);
+            return false;
+        }
+        if (chatData.archived) {
+            console.warn(logPrefix, `Cannot switch to chat ${chatId}: the chat was deleted.`);
+            return false;
+        }
+
+        const context = getContext();
+        try {
+            if (chatData.type === "group" && chatData.groupId) {
+                if (!context.groups?.some(g => g.id === chatData.groupId)) {
+                    console.warn(logPrefix, `Group ${chatData.groupId} for chat ${chatId} no longer exists.`);
+                    return false;
+                }
+                if (context.groupId !== chatData.groupId) {
+                    await openGroupById(chatData.groupId);
+                }
+                if (getCurrentChatId() !== chatId) {
+                    await openGroupChat(chatData.groupId, chatId);
+                }
+            } else if (chatData.type === "private") {
+                // Prefer the avatar, since character indexes change when characters are added or removed
+                let characterIndex = chatData.avatar ? context.characters?.findIndex(c => c.avatar === chatData.avatar) : -1;
+                if (characterIndex === -1 && context.characters?.[chatData.characterId]) {
+                    characterIndex = Number(chatData.characterId);
+                }
+                if (characterIndex === undefined || characterIndex === -1) {
+                    console.warn(logPrefix, `Character for chat ${chatId} no longer exists.`);
+                    return false;
+                }
+                if (String(context.characterId) !== String(characterIndex)) {
+                    await selectCharacterById(String(characterIndex));
+                }
+                if (getCurrentChatId() !== chatId) {
+                    await openCharacterChat(chatId);
+                }
+            }
+        } catch (error) {
+            console.error(logPrefix, `Error switching to chat ${chatId}:`, error);
+            return false;
+        }
+
+        return getCurrentChatId() === chatId;
+    }
+
+    /**
+     * Scrolls the current chat to a message, loading older messages until it is rendered, and highlights it.
+     * @param {string|number} messageId The mesid of the target message.
+     * @returns {Promise<boolean>} True if the message was found and scrolled into view.
+     */
+    async function scrollToMessage(messageId) {
+        const targetId = parseInt(messageId, 10);
+        const chatLength = getContext().chat?.length || 0;
+        if (!Number.isInteger(targetId) || targetId < 0 || targetId >= chatLength) return false;
+
+        let $message = $(`#chat .mes[mesid="${targetId}"]`);
+        for (let attempt = 0; !$message.length && attempt < maxLoadMoreAttempts; attempt++) {
+            const firstRenderedId = parseInt($('#chat .mes').first().attr('mesid'), 10);
+            if (!Number.isInteger(firstRenderedId) || firstRenderedId <= targetId) break; // Nothing older left to load
+            await showMoreMessages(firstRenderedId - targetId);
+            $message = $(`#chat .mes[mesid="${targetId}"]`);
+        }
+
+        if (!$message.length) return false;
+
+        $message[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        $message.addClass(jumpHighlightClass);
+        setTimeout(() => $message.removeClass(jumpHighlightClass), jumpHighlightDuration);
+        return true;
+    }
+
+    /**
+     * Switches to a favorite's chat if needed and scrolls to its message.
+     * @param {string} chatId The chat ID the favorite belongs to.
+     * @param {string} favId The unique ID of the favorite item.
+     * @returns {Promise<boolean>} True if the jump succeeded.
+     */
+    async function jumpToFavorite(chatId, favId) {
+        const favItem = getChatItems(chatId)?.find(item => item.id === favId);
+        if (!favItem) return false;
+
+        if (!await switchToChat(chatId)) {
+            alert(t`Could not open the chat this favorite belongs to.`);
+            return false;
+        }
+
+        // Positions may have shifted since the item was saved; re-link against the freshly opened chat
+        relinkFavorites();
+        if (favItem.unresolved) {
+            alert(t`This favorite's message has moved or been deleted and could not be located.`);
+            return false;
+        }
+
+        if (!await scrollToMessage(favItem.messageId)) {
+            alert(t`Could not scroll to message ${favItem.messageId}.`);
+            return false;
+        }
+        return true;
+    }
+
+
+    // --- Minimap Functions ---
+
+    /**
+     * Draws the track next to #chat with a marker per favorited message (and a bar per scene),
+     * positioned by the message's index in the chat.
+     */
+    function renderMinimap() {
+        const $chat = $('#chat');
+        const chatId = getCurrentChatId();
+        const chatLength = getContext().chat?.length || 0;
+        let $track = $(`#${minimapId}`);
+
+        const items = chatId ? (getChatItems(chatId) || []).filter(item => !item.unresolved) : [];
+        if (!$chat.length || items.length === 0 || chatLength === 0) {
+            $track.hide();
+            return;
+        }
+
+        if (!$track.length) {
+            $track = $(`<div id="${minimapId}"></div>`);
+            $chat.after($track);
+        }
+        // Follow #chat, whose size depends on the layout and the input area; sit just inside its scrollbar
+        const chatElement = $chat[0];
+        $track.css({
+            top: chatElement.offsetTop,
+            height: chatElement.clientHeight,
+            left: chatElement.offsetLeft + chatElement.clientWidth - $track.outerWidth(),
+        });
+
+        // One marker per message, however many of its swipes or excerpts are favorited
+        const itemsByMessage = new Map();
+        items.forEach(favItem => {
+            const key = favItem.kind === 'scene' ? `scene-${favItem.id}` : String(favItem.messageId);
+            if (!itemsByMessage.has(key)) itemsByMessage.set(key, []);
+            itemsByMessage.get(key).push(favItem);
+        });
+
+        const positionOf = (messageId) => (chatLength > 1 ? (messageId / (chatLength - 1)) * 100 : 0);
+        let markersHtml = '';
+        itemsByMessage.forEach(favItems => {
+            const firstItem = favItems[0];
+            const startId = parseInt(firstItem.messageId, 10);
+            const favIds = favItems.map(item => item.id).join(',');
+            if (firstItem.kind === 'scene') {
+                const endId = findSceneMessageIds(getContext().chat || [], firstItem)?.at(-1) ?? startId;
+                const height = Math.max(positionOf(endId) - positionOf(startId), 0.5);
+                markersHtml += `<div class="fav-minimap-marker scene" data-fav-ids="${favIds}" style="top: ${positionOf(startId)}%; height: ${height}%;"></div>`;
+            } else {
+                markersHtml += `<div class="fav-minimap-marker${favItems.some(item => item.pinned) ? ' pinned' : ''}" data-fav-ids="${favIds}" style="top: ${positionOf(startId)}%;"></div>`;
+            }
+        });
+        $track.html(markersHtml).show();
+    }
+
+    /**
+     * Shows the preview and note of the favorites behind a minimap marker.
+     * @param {Event} event The mouseenter event on a marker.
+     */
+    function showMinimapTooltip(event) {
+        const $marker = $(event.currentTarget);
+        const chatId = getCurrentChatId();
+        const favIds = String($marker.data('fav-ids') || '').split(',');
+        const favItems = (getChatItems(chatId) || []).filter(item => favIds.includes(item.id));
+        if (!favItems.length) return;
+
+        const tooltipHtml = favItems.map(favItem => {
+            const heading = favItem.kind === 'scene' ? favItem.title : `${favItem.sender} #${favItem.messageId}${favItem.swipeId > 0 ? ` ${t`(swipe ${favItem.swipeId + 1})`}` : ''}`;
+            const text = getFavoriteFullText(chatId, favItem).replace(/\s+/g, ' ');
+            const preview = text.length > minimapPreviewLength ? `${text.substring(0, minimapPreviewLength)}...` : text;
+            const note = favItem.note ? `<div class="fav-note">${t`Note:`} ${$('<div>').text(favItem.note).html()}</div>` : '';
+            return `<div class="fav-minimap-tooltip-item"><b>${$('<div>').text(heading).html()}</b><div>${$('<div>').text(preview).html()}</div>${note}</div>`;
+        }).join('');
+
+        let $tooltip = $(`#${minimapTooltipId}`);
+        if (!$tooltip.length) {
+            $tooltip = $(`<div id="${minimapTooltipId}"></div>`).appendTo('body');
+        }
+        const markerRect = event.currentTarget.getBoundingClientRect();
+        $tooltip.html(tooltipHtml).css({ top: markerRect.top, left: 'auto', right: window.innerWidth - markerRect.left + 8 }).show();
+        // Keep the tooltip on screen near the bottom of the track
+        const overflow = $tooltip[0].getBoundingClientRect().bottom - window.innerHeight;
+        if (overflow > 0) $tooltip.css('top', Math.max(0, markerRect.top - overflow - 8));
+    }
+
+    /**
+     * Scrolls to the message behind a clicked minimap marker, loading older messages if needed.
+     * @param {Event} event The click event on a marker.
+     */
+    async function handleMinimapClick(event) {
+        const favId = String($(event.currentTarget).data('fav-ids') || '').split(',')[0];
+        const chatId = getCurrentChatId();
+        $(`#${minimapTooltipId}`).hide();
+        if (chatId && favId) await jumpToFavorite(chatId, favId);
+    }
+
+
+    // --- Context View Functions ---
+
+    /**
+     * Loads the messages around a favorite: from the live chat when it is open, else from the chat file,
+     * else from what the favorite itself stored (a scene's messages or the snapshot).
+     * @param {string} chatId The chat the favorite belongs to.
+     * @param {object} favItem The favorite item.
+     * @returns {Promise<{messages: object[], targetStart: number, targetEnd: number, isLive: boolean, sourceLabel: string}>}
+     *     Messages in chat-message form, and the range the favorite covers.
+     */
+    async function loadContextSource(chatId, favItem) {
+        // A scene whose messages no longer line up only highlights its anchor
+        const findTargetEnd = (messages, targetStart) => (favItem.kind === 'scene' ? findSceneMessageIds(messages, favItem, targetStart)?.at(-1) : undefined) ?? targetStart;
+
+        if (getCurrentChatId() === chatId && !favItem.unresolved) {
+            const messages = getContext().chat || [];
+            const targetStart = parseInt(favItem.messageId, 10);
+            return { messages, targetStart, targetEnd: findTargetEnd(messages, targetStart), isLive: true, sourceLabel: t`Live chat` };
+        }
+
+        const chatData = getPluginSettings().chats[chatId];
+        if (chatData && !chatData.archived) {
+            try {
+                const messages = await fetchChatMessages(chatId, chatData);
+                const targetStart = messages ? findBestAnchorIndex(messages, favItem, parseInt(favItem.messageId, 10)) : -1;
+                if (targetStart !== -1) {
+                    return { messages, targetStart, targetEnd: findTargetEnd(messages, targetStart), isLive: false, sourceLabel: t`Saved chat file` };
+                }
+            } catch (error) {
+                console.error(logPrefix, `Error reading chat ${chatId} for the context view:`, error);
+            }
+        }
+
+        // Fall back to what the favorite stored itself
+        const storedMessages = favItem.kind === 'scene'
+            ? (favItem.scene?.messages || []).map(message => ({ name: message.name, mes: message.text, is_user: message.role === 'user', is_system: message.role === 'system' }))
+            : [{ name: favItem.sender, mes: favItem.snapshot?.text || '', is_user: favItem.role === 'user', is_system: favItem.role === 'system' }];
+        return { messages: storedMessages, targetStart: 0, targetEnd: storedMessages.length - 1, isLive: false, sourceLabel: t`Stored excerpt (the chat could not be read)` };
+    }
+
+    /**
+     * Generates the messages shown in the context view.
+     * @param {object} source Result of loadContextSource().
+     * @param {object} favItem The favorite item.
+     * @param {number} size How many messages to show before and after the favorite.
+     * @returns {string} HTML string.
+     */
+    function renderContextMessages(source, favItem, size) {
+        const firstId = Math.max(0, source.targetStart - size);
+        const lastId = Math.min(source.messages.length - 1, source.targetEnd + size);
+        let html = '';
+        for (let index = firstId; index <= lastId; index++) {
+            const message = source.messages[index];
+            if (!message) continue;
+            const isTarget = index >= source.targetStart && index <= source.targetEnd;
+            // The favorited swipe, not whichever swipe was shown last
+            const text = isTarget && favItem.kind !== 'scene' ? (getSwipeText(message, favItem.swipeId ?? 0) ?? message.mes ?? '') : (message.mes ?? '');
+            const role = getMessageRole(message);
+            html += `
+                <div class="fav-context-message ${role}${isTarget ? ' target' : ''}">
+                    <div class="fav-meta">#${index} ${$('<div>').text(message.name || '').html()}</div>
+                    <div class="fav-message-text mes_text">${formatFavoriteText(text, message.name, role, source.isLive ? index : undefined)}</div>
+                </div>`;
+        }
+        return html || `<div class="empty-state">${t`No messages to show.`}</div>`;
+    }
+
+    /**
+     * Opens a panel with the messages before and after a favorite, without leaving the current chat.
+     * @param {string} chatId The chat the favorite belongs to.
+     * @param {string} favId The unique ID of the favorite item.
+     */
+    async function openContextView(chatId, favId) {
+        const favItem = getChatItems(chatId)?.find(item => item.id === favId);
+        if (!favItem) return;
+
+        const source = await loadContextSource(chatId, favItem);
+        const settings = getPluginSettings();
+        const size = settings.contextViewSize ?? defaultContextViewSize;
+
+        const popupHtml = `
+            <div class="favorites-popup-content favorites-context-view">
+                <h4>${t`Context of ${$('<div>').text(favItem.kind === 'scene' ? favItem.title : `${favItem.sender} #${favItem.messageId}`).html()}`}</h4>
+                <div class="fav-context-view-controls">
+                    <label for="fav-context-size">${t`Messages before and after`}</label>
+                    <input id="fav-context-size" class="text_pole" type="number" min="0" max="${maxContextViewSize}" value="${size}">
+                    <span class="fav-context-source">${source.sourceLabel}</span>
+                </div>
+                <div class="fav-list-container fav-context-messages">${renderContextMessages(source, favItem, size)}</div>
+            </div>
+        `;
+        const popup = new Popup(popupHtml, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true, large: true });
+        const $dom = $(popup.dom);
+        $dom.on('input', '#fav-context-size', (event) => {
+            const newSize = Math.max(0, Math.min(maxContextViewSize, parseInt(String($(event.target).val()), 10) || 0));
+            settings.contextViewSize = newSize;
+            broadcastFavoriteChanges();
+            saveSettingsDebounced();
+            $dom.find('.fav-context-messages').html(renderContextMessages(source, favItem, newSize));
+            $dom.find('.fav-context-message.target')[0]?.scrollIntoView({ block: 'center' });
+        });
+
+        const shown = popup.show();
+        requestAnimationFrame(() => $dom.find('.fav-context-message.target')[0]?.scrollIntoView({ block: 'center' }));
+        await shown;
+    }
+
+
+    // --- Note Functions ---
+
+    /**
+     * Renders the markdown of a note as sanitized HTML.
+     * @param {string} note The note text.
+     * @returns {string} HTML string.
+     */
+    function renderNoteMarkdown(note) {
+        try {
+            if (!noteConverter) {
+                noteConverter = new showdown.Converter({ simpleLineBreaks: true, strikethrough: true, tables: true, simplifiedAutoLink: true, openLinksInNewWindow: true });
+            }
+            return DOMPurify.sanitize(noteConverter.makeHtml(String(note || '')));
+        } catch (error) {
+            console.warn(logPrefix, "Could not render note markdown:", error);
+            return $('<div>').text(note).html();
+        }
+    }
+
+    /**
+     * Generates the note block of a favorite item, with the note's markdown formatted.
+     * @param {object} favItem The favorite item object.
+     * @returns {string} HTML string, empty if the favorite has no note.
+     */
+    function renderFavoriteNote(favItem) {
+        if (!favItem.note) return '';
+        const edited = favItem.noteHistory?.length
+            ? ` <span class="fav-note-edited" title="${t`Edited ${favItem.noteHistory.length} time(s)`}">${t`(edited)`}</span>`
+            : '';
+        return `<div class="fav-note"><div class="fav-note-label">${t`Note:`}${edited}</div><div class="fav-note-text">${renderNoteMarkdown(favItem.note)}</div></div>`;
+    }
+
+    /**
+     * Changes the note of a favorite. The text it replaces goes into the note's edit history.
+     * @param {object} favItem The favorite item object.
+     * @param {string} note The new note text.
+     * @returns {boolean} True if the note changed.
+     */
+    function setFavoriteNote(favItem, note) {
+        const newNote = String(note ?? '').trim();
+        const oldNote = favItem.note || '';
+        if (newNote === oldNote) return false;
+
+        if (oldNote) {
+            const entry = { text: oldNote, timestamp: favItem.noteUpdatedAt || favItem.timestamp || Date.now() };
+            favItem.noteHistory = [...(favItem.noteHistory || []), entry].slice(-maxNoteHistory);
+        }
+        favItem.note = newNote;
+        favItem.noteUpdatedAt = Date.now();
+        return true;
+    }
+
+    /**
+     * Opens the note editor of a favorite: a markdown editor with a live preview, and the earlier
+     * versions of the note to look at or restore.
+     * @param {object} favItem The favorite item object.
+     * @returns {Promise<string|null>} The edited note, or null if cancelled.
+     */
+    async function openNoteEditor(favItem) {
+        const history = [...(favItem.noteHistory || [])].reverse(); // Newest first
+        const { previewLength } = getDisplaySettings();
+        const historyHtml = history.length
+            ? history.map((entry, index) => `
+                <div class="fav-note-history-entry" data-index="${index}">
+                    <span class="fav-note-history-date">${formatFavoriteDate(entry.timestamp)}</span>
+                    <span class="fav-note-history-text">${$('<div>').text(entry.text.length > previewLength ? `${entry.text.substring(0, previewLength)}...` : entry.text).html()}</span>
+                    <i class="fa-solid fa-eye fav-note-history-view" title="${t`Show this version`}"></i>
+                    <i class="fa-solid fa-clock-rotate-left fav-note-history-restore" title="${t`Restore this version`}"></i>
+                </div>`).join('')
+            : `<div class="empty-state">${t`No earlier versions.`}</div>`;
+
+        let note = null;
+        const popup = new Popup(`
+            <div class="favorites-note-editor">
+                <h4>${t`Note for ${$('<div>').text(favItem.kind === 'scene' ? favItem.title : `${favItem.sender} #${favItem.messageId}`).html()}`}</h4>
+                <div class="fav-note-editor-panes">
+                    <div class="fav-note-editor-pane">
+                        <label for="fav-note-input">${t`Markdown`}</label>
+                        <textarea id="fav-note-input" class="text_pole" rows="10"></textarea>
+                    </div>
+                    <div class="fav-note-editor-pane">
+                        <label class="fav-note-preview-label">${t`Preview`}</label>
+                        <div class="fav-note-preview mes_text"></div>
+                    </div>
+                </div>
+                <h4>${t`Edit history`}</h4>
+                <div class="fav-note-history">${historyHtml}</div>
+            </div>
+        `, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Save`,
+            cancelButton: t`Cancel`,
+            wide: true,
+            onClosing: (closingPopup) => {
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    note = String($(closingPopup.dlg).find('#fav-note-input').val() || '').trim();
+                }
+                return true;
+            },
+        });
+
+        const $dom = $(popup.dom);
+        const $input = $dom.find('#fav-note-input');
+        const showPreview = (text, label) => {
+            $dom.find('.fav-note-preview').html(renderNoteMarkdown(text));
+            $dom.find('.fav-note-preview-label').text(label);
+            $dom.find('.fav-note-history-entry').removeClass('viewing');
+        };
+
+        $input.val(favItem.note || '');
+        showPreview(favItem.note || '', t`Preview`);
+        $input.on('input', () => showPreview(String($input.val() || ''), t`Preview`));
+        $dom.on('click', '.fav-note-history-view', (event) => {
+            const $entry = $(event.currentTarget).closest('.fav-note-history-entry');
+            const entry = history[Number($entry.data('index'))];
+            showPreview(entry.text, t`Version of ${formatFavoriteDate(entry.timestamp)}`);
+            $entry.addClass('viewing');
+        });
+        $dom.on('click', '.fav-note-history-restore', (event) => {
+            // Restoring only fills the editor; saving keeps the replaced text in the history like any edit
+            const entry = history[Number($(event.currentTarget).closest('.fav-note-history-entry').data('index'))];
+            $input.val(entry.text);
+            showPreview(entry.text, t`Preview`);
+            $input.trigger('focus');
+        });
+
+        await popup.show();
+        return note;
+    }
+
+
+    // --- Event Handlers ---
+
+    /**
+     * Handles clicking the favorite icon on a message. Uses event delegation.
+     * @param {Event} event - The click event object.
+     */
+    function handleFavoriteToggle(event) {
+        const $iconContainer = $(event.target).closest(favIconSelector);
+        if (!$iconContainer.length) return; // Click wasn't on the icon or its container
+
+        const $messageElement = $iconContainer.closest('.mes');
+        const messageId = $messageElement.attr('mesid');
+        const chatInfo = getCurrentChatInfo();
+
+        if (!messageId || !chatInfo) {
+            console.error(logPrefix, "Could not get messageId or chatInfo on toggle.");
+            alert(t`Error: Could not determine message or chat context.`);
+            return;
+        }
+
+        const chatId = chatInfo.chatId;
+        // 1. Determine CURRENT state (visually)
+        const isCurrentlyFavorited = $iconContainer.hasClass('favorited');
+
+        // 2. Immediately toggle visual state
+        updateFavoriteIconState($messageElement, !isCurrentlyFavorited);
+
+        // 3. Call data function based on the NEW state
+        if (!isCurrentlyFavorited) { // It WAS unfavorited, NEW state is favorited
+            const message = getChatMessageById(messageId);
+            if (message) {
+                addFavorite(chatInfo, message, messageId);
+            } else {
+                console.error(logPrefix, `Could not find message object for ID ${messageId} to favorite.`);
+                alert(t`Error: Could not find message data for ID ${messageId}. Cannot favorite.`);
+                // Revert visual state on error
+                updateFavoriteIconState($messageElement, false);
+            }
+        } else { // It WAS favorited, NEW state is unfavorited
+            removeFavoriteByMessageId(chatId, messageId, getCurrentSwipeId(getChatMessageById(messageId)));
+            injectOrUpdateFavoriteIcons(); // Other swipes of this message may still be favorited
+        }
+    }
+
+    /**
+     * Handles right-clicking the favorite icon: favorites the message if needed and opens the tags editor.
+     * @param {Event} event - The contextmenu event object.
+     */
+    function handleFavoriteContextMenu(event) {
+        const $iconContainer = $(event.target).closest(favIconSelector);
+        if (!$iconContainer.length) return;
+        event.preventDefault();
+
+        const $messageElement = $iconContainer.closest('.mes');
+        const messageId = $messageElement.attr('mesid');
+        const chatInfo = getCurrentChatInfo();
+        const message = messageId ? getChatMessageById(messageId) : null;
+
+        if (!message || !chatInfo) {
+            console.error(logPrefix, "Could not get message or chatInfo for tags editor.");
+            alert(t`Error: Could not determine message or chat context.`);
+            return;
+        }
+
+        const favItem = addFavorite(chatInfo, message, messageId); // Returns the existing item if already favorited
+        if (!favItem) return;
+
+        updateFavoriteIconState($messageElement, true);
+        openTagsEditor(chatInfo.chatId, favItem.id);
+    }
+
+    /**
+     * Handles clicking the sidebar button to open the popup.
+     */
+    function openFavoritesPopup() {
+        const chatInfo = getCurrentChatInfo();
+        if (!chatInfo) {
+            alert(t`Please open a chat first.`);
+            return;
+        }
+        const chatId = chatInfo.chatId;
+        currentPopupChatId = chatId; // Track which chat we opened it for
+        currentPopupPage = 1; // Reset to first page
+        popupSelectionMode = false; // Selections never carry over between openings
+        popupSelectedIds.clear();
+        popupLastClickedIndex = null;
+
+        if (!favoritesPopup) {
+            // Create popup instance only once
+             const popupHtml = `
+                <div class="favorites-popup-content">
+                    <h4 id="favorites-popup-title">${t`Favorites`}</h4>
+                    <div class="fav-context-status">
+                        <i class="fa-solid fa-thumbtack"></i>
+                        <span id="fav-popup-context-text"></span>
+                        <i id="fav-popup-context-settings" class="fa-solid fa-gear" title="${t`Pinned context settings for this chat`}"></i>
+                    </div>
+                    <div class="fav-selection-toolbar">
+                        <button id="fav-select-toggle" class="menu_button" title="${t`Select several favorites for batch actions`}"><i class="fa-solid fa-list-check"></i> ${t`Select`}</button>
+                        <span class="fav-selection-controls" style="display: none;">
+                            <button id="fav-select-page" class="menu_button" title="${t`Select every favorite on this page`}">${t`Page`}</button>
+                            <button id="fav-select-all" class="menu_button" title="${t`Select every favorite in this chat`}">${t`All`}</button>
+                            <button id="fav-select-none" class="menu_button" title="${t`Clear the selection`}">${t`None`}</button>
+                            <span id="fav-selection-count">${t`${0} selected`}</span>
+                            <button id="fav-batch-delete" class="menu_button fa-solid fa-trash" title="${t`Delete selected`}"></button>
+                            <button id="fav-batch-tag" class="menu_button fa-solid fa-tags" title="${t`Add or remove tags on selected`}"></button>
+                            <button id="fav-batch-move" class="menu_button fa-solid fa-folder" title="${t`Move selected to a collection`}"></button>
+                            <button id="fav-batch-export" class="menu_button fa-solid fa-file-export" title="${t`Export selected`}"></button>
+                            <button id="fav-batch-copy" class="menu_button fa-solid fa-copy" title="${t`Copy selected as text`}"></button>
+                        </span>
+                        <select id="fav-popup-min-rating" class="text_pole" title="${t`Only list favorites rated at least this`}">${renderMinRatingOptions()}</select>
+                    </div>
+                    <hr>
+                    <div id="${popupListContainerId}" class="fav-list-container">
+                        <div class="empty-state">${t`Loading...`}</div>
+                    </div>
+                    <div id="${popupPaginationId}" class="pagination-controls" style="display: none;">
+                        <button id="fav-popup-prev" class="menu_button fa-solid fa-arrow-left" title="${t`Previous Page`}"></button>
+                        <span id="fav-popup-page-indicator">${t`Page ${1} / ${1}`}</span>
+                        <button id="fav-popup-next" class="menu_button fa-solid fa-arrow-right" title="${t`Next Page`}"></button>
+                    </div>
+                    <hr>
+                    <div class="popup_buttons">
+                       <button id="fav-popup-undo" class="menu_button fa-solid fa-rotate-left" title="${t`Nothing to undo`}" disabled></button>
+                       <button id="fav-popup-redo" class="menu_button fa-solid fa-rotate-right" title="${t`Nothing to redo`}" disabled></button>
+                       <button id="fav-popup-browse-all" class="menu_button">${t`All Favorites`}</button>
+                       <button id="fav-popup-export" class="menu_button">${t`Export`}</button>
+                       <button id="fav-popup-clear-invalid" class="menu_button">${t`Clear Invalid`}</button>
+                       <button id="fav-popup-close" class="menu_button">${t`Close`}</button>
+                    </div>
+                </div>
+            `;
+            favoritesPopup = new Popup(popupHtml, 'text', '', { okButton: 'none', cancelButton: 'none', wide: true, large: true });
+
+             // Setup event delegation for popup content (attach to the popup's persistent element)
+             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fa-pencil`, handleEditNote);
+             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fa-tags`, (event) => {
+                 const favId = $(event.target).closest('.favorite-item').data('fav-id');
+                 if (currentPopupChatId && favId) openTagsEditor(currentPopupChatId, favId);
+             });
+             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fa-trash`, handleDeleteFavoriteFromPopup);
+             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fav-expand-toggle`, handleExpandToggle);
+             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fav-context-view`, (event) => {
+                 const favId = $(event.target).closest('.favorite-item').data('fav-id');
+                 if (currentPopupChatId && favId) openContextView(currentPopupChatId, favId);
+             });
+             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fav-rating-star`, (event) => {
+                 const favId = $(event.target).closest('.favorite-item').data('fav-id');
+                 if (currentPopupChatId && favId) rateFavorite(currentPopupChatId, favId, Number($(event.target).data('rating')));
+             });
+             $(favoritesPopup.dom).on('change', '#fav-popup-min-rating', (event) => {
+                 popupMinRating = Number($(event.target).val()) || 0;
+                 updateFavoritesPopup(currentPopupChatId, 1);
+             });
+             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fav-pin-toggle`, (event) => {
+                 const favId = $(event.target).closest('.favorite-item').data('fav-id');
+                 if (currentPopupChatId && favId) togglePinnedFavorite(currentPopupChatId, favId);
+             });
+             $(favoritesPopup.dom).on('click', '#fav-popup-context-settings', () => {
+                 if (currentPopupChatId) openContextSettings(currentPopupChatId);
+             });
+             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .favorite-item`, handleJumpFromPopup);
+             $(favoritesPopup.dom).on('click', '#fav-popup-prev', () => handlePopupPagination('prev'));
+             $(favoritesPopup.dom).on('click', '#fav-popup-next', () => handlePopupPagination('next'));
+             $(favoritesPopup.dom).on('click', '#fav-popup-clear-invalid', handleClearInvalidFavorites);
+             $(favoritesPopup.dom).on('click', '#fav-popup-export', () => {
+                 const chatData = getPluginSettings().chats[currentPopupChatId];
+                 exportFavorites(getChatExportEntries(currentPopupChatId), chatData?.name || currentPopupChatId);
+             });
+             $(favoritesPopup.dom).on('click', '#fav-popup-browse-all', () => {
+                 favoritesPopup.hide();
+                 openGlobalBrowser();
+             });
+             $(favoritesPopup.dom).on('click', '#fav-popup-close', () => favoritesPopup.hide());
+             $(favoritesPopup.dom).on('click', '#fav-popup-undo', () => undoFavoriteChange());
+             $(favoritesPopup.dom).on('click', '#fav-popup-redo', () => redoFavoriteChange());
+             $(favoritesPopup.dom).on('click', '#fav-select-toggle', () => setPopupSelectionMode(!popupSelectionMode));
+             $(favoritesPopup.dom).on('click', '#fav-select-page', () => selectPopupItems('page'));
+             $(favoritesPopup.dom).on('click', '#fav-select-all', () => selectPopupItems('all'));
+             $(favoritesPopup.dom).on('click', '#fav-select-none', () => selectPopupItems('none'));
+             $(favoritesPopup.dom).on('click', '#fav-batch-delete', handleBatchDelete);
+             $(favoritesPopup.dom).on('click', '#fav-batch-tag', handleBatchTag);
+             $(favoritesPopup.dom).on('click', '#fav-batch-move', handleBatchMove);
+             $(favoritesPopup.dom).on('click', '#fav-batch-export', handleBatchExport);
+             $(favoritesPopup.dom).on('click', '#fav-batch-copy', handleBatchCopy);
+
+        }
+
+        updateFavoritesPopup(chatId, currentPopupPage); // Populate content
+        favoritesPopup.show();
+    }
+
+    /**
+     * Gets the favorites of a chat the popup lists, in the order it lists them.
+     * @param {string} chatId The chat ID.
+     * @returns {object[]} The sorted favorite items that pass the popup's rating filter.
+     */
+    function getSortedChatItems(chatId) {
+        const items = (getChatItems(chatId) || []).filter(item => getFavoriteRating(item) >= popupMinRating);
+        const time = (item) => item.timestamp ? timestampToMoment(item.timestamp).valueOf() : 0;
+        switch (getDisplaySettings().sortOrder) {
+            case 'newest':
+                return items.sort((a, b) => time(b) - time(a));
+            case 'position':
+                return items.sort((a, b) => parseInt(a.messageId, 10) - parseInt(b.messageId, 10) || time(a) - time(b));
+            case 'rating':
+                return items.sort((a, b) => getFavoriteRating(b) - getFavoriteRating(a) || time(a) - time(b));
+            default: // Oldest first
+                return items.sort((a, b) => time(a) - time(b));
+        }
+    }
+
+     /**
+     * Renders the content of the favorites popup.
+     * @param {string} chatId The chat ID to display favorites for.
+     * @param {number} page The page number to display.
+     */
+    function updateFavoritesPopup(chatId, page = 1) {
+        if (!favoritesPopup) return;
+
+        currentPopupChatId = chatId; // Update tracked chat ID
+        currentPopupPage = page;
+        const settings = getPluginSettings();
+        const chatData = settings.chats[chatId];
+        const context = getContext();
+        const isCurrentChat = getCurrentChatId() === chatId;
+
+        let title = t`Favorites`;
+        let favItems = [];
+        let totalItems = 0;
+
+        if (chatData) {
+            title = t`Favorites for: ${chatData.name || t`Chat ${chatId}`} (${chatData.count})`;
+            favItems = getSortedChatItems(chatId);
+            totalItems = favItems.length; // Fewer than chatData.count while a rating filter is set
+        } else {
+            title = t`Favorites for: ${t`Chat ${chatId}`} (${0})`;
+        }
+
+        const $popupContent = $(favoritesPopup.dom).find('.favorites-popup-content');
+        $popupContent.find('#favorites-popup-title').text(title);
+
+        const $listContainer = $popupContent.find(`#${popupListContainerId}`);
+        const $paginationControls = $popupContent.find(`#${popupPaginationId}`);
+        const $pageIndicator = $popupContent.find('#fav-popup-page-indicator');
+        const $prevButton = $popupContent.find('#fav-popup-prev');
+        const $nextButton = $popupContent.find('#fav-popup-next');
+        const $clearInvalidButton = $popupContent.find('#fav-popup-clear-invalid');
+
+        // Drop selections of favorites that no longer exist
+        const existingIds = new Set(favItems.map(item => item.id));
+        popupSelectedIds.forEach(favId => { if (!existingIds.has(favId)) popupSelectedIds.delete(favId); });
+        updateSelectionToolbar();
+        updateUndoButtons();
+        renderPinnedContextStatus();
+
+        if (totalItems === 0) {
+            const emptyText = chatData?.count ? t`No favorites in this chat are rated this high.` : t`No favorites in this chat yet.`;
+            $listContainer.html(`<div class="empty-state">${emptyText}</div>`);
+            $paginationControls.hide();
+            $clearInvalidButton.prop('disabled', true);
+            return;
+        }
+
+        const { itemsPerPagePopup } = getDisplaySettings();
+        const totalPages = Math.ceil(totalItems / itemsPerPagePopup);
+        page = Math.max(1, Math.min(page, totalPages)); // Clamp page number
+        currentPopupPage = page; // Update global state
+
+        const startIndex = (page - 1) * itemsPerPagePopup;
+        const endIndex = startIndex + itemsPerPagePopup;
+        const itemsToShow = favItems.slice(startIndex, endIndex);
+
+        let listHtml = '';
+        itemsToShow.forEach(favItem => {
+            listHtml += renderFavoriteItem(favItem, isCurrentChat);
+        });
+
+        $listContainer.html(listHtml);
+        updateExpandToggles($listContainer);
+
+        // Update and show pagination
+        $pageIndicator.text(t`Page ${page} / ${totalPages}`);
+        $prevButton.prop('disabled', page === 1);
+        $nextButton.prop('disabled', page === totalPages);
+        $paginationControls.show();
+
+        // Enable/disable clear invalid button
+        $clearInvalidButton.prop('disabled', !isCurrentChat);
+        if (!isCurrentChat) {
+             $clearInvalidButton.attr('title', t`Switch to this chat to clear invalid favorites.`);
+        } else {
+             $clearInvalidButton.removeAttr('title');
+        }
+
+        // Scroll list to top after update
+        $listContainer.scrollTop(0);
+    }
+
+    /**
+     * Generates HTML for a single favorite item in the popup list.
+     * @param {object} favItem The favorite item object from settings.
+     * @param {boolean} isCurrentChat Whether the popup is for the currently active chat.
+     * @returns {string} HTML string for the list item.
+     */
+    function renderFavoriteItem(favItem, isCurrentChat) {
+        const formattedTimestamp = formatFavoriteDate(favItem.timestamp);
+        const noteDisplay = renderFavoriteNote(favItem);
+        const avatarDisplay = renderFavoriteAvatar(favItem, isCurrentChat);
+        const isSelected = popupSelectedIds.has(favItem.id);
+        const checkboxDisplay = popupSelectionMode ? `<input type="checkbox" class="fav-select-checkbox" ${isSelected ? 'checked' : ''}>` : '';
+        const itemTitle = popupSelectionMode ? t`Click to select (shift-click for a range)` : t`Click to go to this message`;
+
+        return `
+            <div class="favorite-item${isSelected ? ' selected' : ''}" data-fav-id="${favItem.id}" data-msg-id="${favItem.messageId}" title="${itemTitle}">
+              <div class="fav-meta">${checkboxDisplay}${avatarDisplay}${$('<div>').text(favItem.sender).html()} (${translate(favItem.role)}) - ${formattedTimestamp}${renderSwipeLabel(favItem)}${renderPinBadge(favItem)}${renderRatingStars(getFavoriteRating(favItem))}</div>
+              ${noteDisplay}
+              ${renderTagChips(favItem)}
+              ${renderFavoriteBody(favItem, isCurrentChat)}
+              <div class="fav-actions">
+                <i class="fa-solid fa-thumbtack fav-pin-toggle${favItem.pinned ? ' active' : ''}" title="${favItem.pinned ? t`Unpin from the prompt` : t`Pin to the prompt as long-term memory`}"></i>
+                <i class="fa-solid fa-align-justify fav-context-view" title="${t`Show surrounding messages`}"></i>
+                <i class="fa-solid fa-tags" title="${t`Tags and Collections`}"></i>
+                <i class="fa-solid fa-pencil" title="${t`Edit Note`}"></i>
+                <i class="fa-solid fa-trash" title="${t`Delete Favorite`}"></i>
+              </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generates the main content of a favorite item: a text preview, or the excerpt of a scene.
+     * @param {object} favItem The favorite item object.
+     * @param {boolean} isCurrentChat Whether the item belongs to the currently active chat.
+     * @returns {string} HTML string.
+     */
+    function renderFavoriteBody(favItem, isCurrentChat) {
+        if (favItem.kind === 'excerpt') {
+            // Excerpts show exactly what was selected, not the start of the message
+            const movedBadge = favItem.unresolved ? `<span class="fav-moved-badge">${t`[Moved/unknown]`}</span> ` : '';
+            return `<div class="fav-preview excerpt">${movedBadge}<i class="fa-solid fa-quote-left"></i> ${$('<div>').text(favItem.excerpt?.text || '').html()}</div>`;
+        }
+        if (favItem.kind === 'scene') {
+            const movedBadge = favItem.unresolved ? `<span class="fav-moved-badge">${t`[Moved/unknown]`}</span>` : '';
+            return `<div class="fav-preview">${movedBadge}${renderSceneExcerpt(favItem, isCurrentChat)}</div>`;
+        }
+
+        const { previewText, previewClass } = getFavoritePreview(favItem, isCurrentChat);
+        const message = getLiveFavoriteMessage(favItem, isCurrentChat);
+        const sourceText = getSwipeText(message, favItem.swipeId ?? 0) ?? favItem.snapshot?.text;
+        if (typeof sourceText !== 'string') {
+            return `<div class="fav-preview ${previewClass}">${previewText}</div>`;
+        }
+
+        // Cut to the preview length, and collapsed to a few lines by CSS; the toggle expands it in place to the full message
+        const movedBadge = favItem.unresolved ? `<span class="fav-moved-badge">${t`[Moved/unknown]`}</span>` : '';
+        const attachments = message ? getMessageAttachments(message) : (favItem.snapshot?.attachments || []);
+        const isTruncated = sourceText.length > getDisplaySettings().previewLength;
+        return `
+            <div class="fav-preview formatted ${previewClass}${isTruncated ? ' truncated' : ''}">
+                ${movedBadge}
+                <div class="fav-message-text mes_text">${renderFavoriteText(favItem, isCurrentChat, false)}</div>
+                ${renderAttachments(attachments)}
+            </div>
+            <div class="fav-expand-toggle" style="display: none;"><i class="fa-solid fa-chevron-down"></i> <span>${t`Show more`}</span></div>
+        `;
+    }
+
+    /**
+     * Gets the live message of a favorite, if its chat is open and it could be located.
+     * @param {object} favItem The favorite item object.
+     * @param {boolean} isCurrentChat Whether the item belongs to the currently active chat.
+     * @returns {object|null} The message object from context.chat, or null.
+     */
+    function getLiveFavoriteMessage(favItem, isCurrentChat) {
+        // Unresolved items must not be previewed against whatever message now sits at their old mesid
+        return isCurrentChat && !favItem.unresolved ? getChatMessageById(favItem.messageId) || null : null;
+    }
+
+    /**
+     * Renders the text of a favorite, from the live message when available or its snapshot otherwise.
+     * @param {object} favItem The favorite item object.
+     * @param {boolean} isCurrentChat Whether the item belongs to the currently active chat.
+     * @param {boolean} expanded False to cut the text to the preview length.
+     * @returns {string} Sanitized HTML, empty if the favorite has no text.
+     */
+    function renderFavoriteText(favItem, isCurrentChat, expanded) {
+        const message = getLiveFavoriteMessage(favItem, isCurrentChat);
+        const sourceText = getSwipeText(message, favItem.swipeId ?? 0) ?? favItem.snapshot?.text;
+        if (typeof sourceText !== 'string') return '';
+
+        const { previewLength } = getDisplaySettings();
+        const text = !expanded && sourceText.length > previewLength ? `${sourceText.substring(0, previewLength)}...` : sourceText;
+        return formatFavoriteText(text, favItem.sender, favItem.role, message ? Number(favItem.messageId) : undefined);
+    }
+
+    /**
+     * Renders message text the way SillyTavern shows it in the chat (markdown, quotes, actions, images).
+     * @param {string} text The raw message text.
+     * @param {string} senderName The sender's name.
+     * @param {string} role "user", "character" or "system".
+     * @param {number} [messageId] The mesid, when the message is part of the open chat.
+     * @returns {string} Sanitized HTML.
+     */
+    function formatFavoriteText(text, senderName, role, messageId) {
+        try {
+            return messageFormatting(text, senderName, role === 'system', role === 'user', messageId);
+        } catch (error) {
+            console.warn(logPrefix, "Could not format message text:", error);
+            return $('<div>').text(text).html();
+        }
+    }
+
+    /**
+     * Generates the sender avatar of a favorite item: the one captured with it, else the live message's.
+     * @param {object} favItem The favorite item object.
+     * @param {boolean} isCurrentChat Whether the item belongs to the currently active chat.
+     * @returns {string} HTML string, empty if no avatar is known.
+     */
+    function renderFavoriteAvatar(favItem, isCurrentChat) {
+        const message = favItem.snapshot?.avatar ? null : getLiveFavoriteMessage(favItem, isCurrentChat);
+        const avatarUrl = favItem.snapshot?.avatar || (message ? getMessageAvatarUrl(message) : '');
+        return avatarUrl ? `<img class="fav-avatar" src="${$('<div>').text(avatarUrl).html()}" alt="">` : '';
+    }
+
+    /**
+     * Generates the images and file links attached to a favorited message.
+     * @param {Array<{type: string, url: string, name: string}>} attachments From getMessageAttachments().
+     * @returns {string} HTML string, empty if there are none.
+     */
+    function renderAttachments(attachments) {
+        if (!attachments.length) return '';
+        const attachmentsHtml = attachments.map(attachment => {
+            const url = $('<div>').text(attachment.url).html();
+            const name = $('<div>').text(attachment.name).html();
+            return attachment.type === 'image'
+                ? `<a href="${url}" target="_blank" rel="noopener"><img class="fav-attachment-image" src="${url}" alt="${name}" title="${name}"></a>`
+                : `<a class="fav-attachment-file" href="${url}" target="_blank" rel="noopener"><i class="fa-solid fa-paperclip"></i> ${name}</a>`;
+        }).join('');
+        return `<div class="fav-attachments">${attachmentsHtml}</div>`;
+    }
+
+    /**
+     * Shows the "Show more" toggle on the listed previews that are cut to the preview length or off by their
+     * collapsed height.
+     * @param {jQuery} $listContainer The list the items were rendered into.
+     */
+    function updateExpandToggles($listContainer) {
+        // Measure on the next frame: the popup may only be shown right after rendering
+        requestAnimationFrame(() => {
+            $listContainer.find('.fav-preview.formatted').each((_, element) => {
+                const isCutOff = element.scrollHeight > element.clientHeight + 1;
+                $(element).next('.fav-expand-toggle').toggle(isCutOff || $(element).is('.truncated, .expanded'));
+            });
+        });
+    }
+
+    /**
+     * Expands a preview in place to the full message, or collapses it again.
+     * @param {Event} event The click event on a "Show more" toggle.
+     */
+    function handleExpandToggle(event) {
+        const $toggle = $(event.target).closest('.fav-expand-toggle');
+        const $preview = $toggle.prev('.fav-preview');
+        const expanded = !$preview.hasClass('expanded');
+        $preview.toggleClass('expanded', expanded);
+        if ($preview.hasClass('truncated')) {
+            // The global browser lists favorites of every chat; the popup only those of its chat
+            const $item = $preview.closest('.favorite-item');
+            const chatId = $item.is('[data-chat-id]') ? String($item.data('chat-id')) : currentPopupChatId;
+            const favItem = getChatItems(chatId)?.find(item => item.id === $item.data('fav-id'));
+            if (favItem) $preview.find('.fav-message-text').html(renderFavoriteText(favItem, chatId === getCurrentChatId(), expanded));
+        }
+        $toggle.find('i').toggleClass('fa-chevron-down', !expanded).toggleClass('fa-chevron-up', expanded);
+        $toggle.find('span').text(expanded ? t`Show less` : t`Show more`);
+    }
+
+    /**
+     * Generates the "swipe N" label for favorites of a swipe other than the first.
+     * @param {object} favItem The favorite item object.
+     * @returns {string} HTML string, empty for the first swipe.
+     */
+    function renderSwipeLabel(favItem) {
+        return favItem.swipeId > 0 ? ` <span class="fav-swipe-label">${t`(swipe ${favItem.swipeId + 1})`}</span>` : '';
+    }
+
+    /**
+     * Works out how a favorite's preview is shown: from the live message, its snapshot, or a placeholder if it has
+     * no text (the text itself is rendered by renderFavoriteText()).
+     * @param {object} favItem The favorite item object from settings.
+     * @param {boolean} isCurrentChat Whether the item belongs to the currently active chat.
+     * @returns {{previewText: string, previewClass: string}} Escaped placeholder HTML (empty if there is text) and a CSS modifier class.
+     */
+    function getFavoritePreview(favItem, isCurrentChat) {
+        let previewText = '';
+        let previewClass = '';
+        // Unresolved items must not be previewed against whatever message now sits at their old mesid
+        const message = isCurrentChat && !favItem.unresolved ? getChatMessageById(favItem.messageId) : null;
+
+        // Prefer the favorited swipe of the live message; fall back to the text captured when the item was favorited
+        const sourceText = getSwipeText(message, favItem.swipeId ?? 0) ?? favItem.snapshot?.text;
+
+        if (typeof sourceText === 'string') {
+             if (!message) previewClass = 'snapshot';
+             if (favItem.unresolved) previewClass = 'moved';
+        } else if (favItem.unresolved) {
+            previewText = `<span class="fav-moved-badge">${t`[Moved/unknown]`}</span>`;
+            previewClass = 'moved';
+        } else if (isCurrentChat) {
+            previewText = t`[Message deleted]`;
+            previewClass = 'deleted';
+        } else {
+             previewText = t`[Preview requires switching to this chat]`;
+             previewClass = 'requires-switch';
+        }
+
+        return { previewText, previewClass };
+    }
+
+    /** Handles clicks on a favorite item in the popup by jumping to its message */
+    async function handleJumpFromPopup(event) {
+        if ($(event.target).closest('.fav-actions, .fav-rating, .fav-scene, .fav-expand-toggle, .fav-attachments, .fav-note a').length) return; // These have their own behavior
+        if (popupSelectionMode) {
+            handleSelectionClick(event); // Clicking selects instead of jumping while in selection mode
+            return;
+        }
+
+        const favId = $(event.target).closest('.favorite-item').data('fav-id');
+        const chatId = currentPopupChatId;
+        if (!chatId || !favId) return;
+
+        favoritesPopup.hide(); // Get the popup out of the way of the chat
+        await jumpToFavorite(chatId, favId);
+    }
+
+     /** Handles popup pagination clicks */
+    function handlePopupPagination(direction) {
+        if (!favoritesPopup || !currentPopupChatId) return;
+
+        const settings = getPluginSettings();
+        const chatData = settings.chats[currentPopupChatId];
+        if (!chatData) return;
+
+        // Pages of the listed favorites, which a rating filter makes fewer than chatData.count
+        const totalPages = Math.ceil(getSortedChatItems(currentPopupChatId).length / getDisplaySettings().itemsPerPagePopup);
+
+        if (direction === 'prev' && currentPopupPage > 1) {
+            currentPopupPage--;
+        } else if (direction === 'next' && currentPopupPage < totalPages) {
+            currentPopupPage++;
+        }
+        updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+    }
+
+
+    /** Handles click on the Edit Note icon in the popup */
+    async function handleEditNote(event) {
+         const $itemElement = $(event.target).closest('.favorite-item');
+         const favId = $itemElement.data('fav-id');
+         const chatId = currentPopupChatId; // Assumes popup is open
+
+         if (!chatId || !favId) return;
+
+         const favItem = getChatItems(chatId)?.find(item => item.id === favId);
+
+         if (!favItem) {
+             console.error(logPrefix, `Favorite item ${favId} not found for editing note.`);
+             return;
+         }
+
+         try {
+             const result = await openNoteEditor(favItem);
+
+             if (result !== null && result !== (favItem.note || '')) { // User saved a changed note (even if empty)
+                 withUndoStep(t`Edit note`, [chatId], () => {
+                     setFavoriteNote(favItem, result);
+                 });
+                 console.log(logPrefix, `Updated note for favorite ${favId} in chat ${chatId}.`);
+                 saveFavorites([chatId]);
+                 // Update just this item's display in the popup for efficiency
+                 $itemElement.find('.fav-note').remove();
+                 $itemElement.find('.fav-meta').after(renderFavoriteNote(favItem));
+
+                 // Also update plugin page if visible
+                 renderPluginPage();
+             }
+         } catch (error) {
+             console.error(logPrefix, "Error during note editor popup:", error);
+         }
+     }
+
+     /** Handles click on the Delete icon in the popup */
+     async function handleDeleteFavoriteFromPopup(event) {
+         const $itemElement = $(event.target).closest('.favorite-item');
+         const favId = $itemElement.data('fav-id');
+         const chatId = currentPopupChatId;
+
+         if (!chatId || !favId) return;
+
+         try {
+             const confirmation = !getDisplaySettings().confirmDelete || await callGenericPopup(
+                 t`Are you sure you want to remove this favorite entry?`,
+                 POPUP_TYPE.CONFIRM
+             );
+
+             if (confirmation) {
+                 const removed = removeFavoriteById(chatId, favId); // This handles saving and popup refresh
+                 if (removed) {
+                     // Update the icons in the main chat interface if it's the current chat;
+                     // a full refresh keeps the state right when other swipes of the message are still favorited
+                     if (getCurrentChatId() === chatId) {
+                         injectOrUpdateFavoriteIcons();
+                     }
+                 }
+             }
+         } catch (error) {
+             console.error(logPrefix, "Error during delete confirmation:", error);
+             if (error !== POPUP_RESULT.CANCEL) { // Don't show alert if user just cancelled
+                 alert(t`An error occurred while trying to delete the favorite.`);
+             }
+         }
+     }
+
+
+    // --- Bulk Selection Functions ---
+
+    /**
+     * Turns the popup's selection mode on or off. Leaving it clears the selection.
+     * @param {boolean} enabled True to show checkboxes and batch actions.
+     */
+    function setPopupSelectionMode(enabled) {
+        popupSelectionMode = enabled;
+        if (!enabled) popupSelectedIds.clear();
+        popupLastClickedIndex = null;
+        if (currentPopupChatId) updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+    }
+
+    /** Syncs the selection toolbar (toggle label, count, enabled batch buttons) with the current selection. */
+    function updateSelectionToolbar() {
+        if (!favoritesPopup) return;
+        const $dom = $(favoritesPopup.dom);
+        $dom.find('#fav-select-toggle')
+            .toggleClass('active', popupSelectionMode)
+            .html(popupSelectionMode ? `<i class="fa-solid fa-xmark"></i> ${t`Done`}` : `<i class="fa-solid fa-list-check"></i> ${t`Select`}`);
+        $dom.find('.fav-selection-controls').toggle(popupSelectionMode);
+        $dom.find('#fav-selection-count').text(t`${popupSelectedIds.size} selected`);
+        $dom.find('#fav-batch-delete, #fav-batch-tag, #fav-batch-move, #fav-batch-export, #fav-batch-copy')
+            .prop('disabled', popupSelectedIds.size === 0);
+    }
+
+    /**
+     * Selects the favorites on the current page, all favorites of the chat, or none.
+     * @param {'page'|'all'|'none'} scope What to select.
+     */
+    function selectPopupItems(scope) {
+        if (!currentPopupChatId) return;
+        const sortedItems = getSortedChatItems(currentPopupChatId);
+
+        if (scope === 'none') {
+            popupSelectedIds.clear();
+        } else if (scope === 'all') {
+            sortedItems.forEach(item => popupSelectedIds.add(item.id));
+        } else {
+            const { itemsPerPagePopup } = getDisplaySettings();
+            const startIndex = (currentPopupPage - 1) * itemsPerPagePopup;
+            sortedItems.slice(startIndex, startIndex + itemsPerPagePopup).forEach(item => popupSelectedIds.add(item.id));
+        }
+        popupLastClickedIndex = null;
+        updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+    }
+
+    /**
+     * Toggles the clicked favorite in the selection. Shift-click applies the same state to the whole range
+     * since the last click, across pages.
+     * @param {Event} event The click event on a favorite item.
+     */
+    function handleSelectionClick(event) {
+        const favId = $(event.target).closest('.favorite-item').data('fav-id');
+        if (!currentPopupChatId || !favId) return;
+
+        const sortedItems = getSortedChatItems(currentPopupChatId);
+        const clickedIndex = sortedItems.findIndex(item => item.id === favId);
+        if (clickedIndex === -1) return;
+
+        const select = !popupSelectedIds.has(favId);
+        const [from, to] = event.shiftKey && popupLastClickedIndex !== null
+            ? [Math.min(popupLastClickedIndex, clickedIndex), Math.max(popupLastClickedIndex, clickedIndex)]
+            : [clickedIndex, clickedIndex];
+
+        sortedItems.slice(from, to + 1).forEach(item => {
+            if (select) popupSelectedIds.add(item.id);
+            else popupSelectedIds.delete(item.id);
+        });
+        popupLastClickedIndex = clickedIndex;
+
+        // Clear the text selection shift-click makes in the list
+        if (event.shiftKey) window.getSelection()?.removeAllRanges();
+        updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+    }
+
+    /**
+     * Gets the selected favorites of the popup's chat, in list order.
+     * @returns {object[]} The selected favorite items.
+     */
+    function getSelectedPopupItems() {
+        if (!currentPopupChatId) return [];
+        return getSortedChatItems(currentPopupChatId).filter(item => popupSelectedIds.has(item.id));
+    }
+
+    /** Deletes all selected favorites after a single confirmation. */
+    async function handleBatchDelete() {
+        const chatId = currentPopupChatId;
+        const selectedItems = getSelectedPopupItems();
+        if (!chatId || !selectedItems.length) return;
+
+        const confirmation = !getDisplaySettings().confirmDelete || await callGenericPopup(
+            t`Are you sure you want to remove ${selectedItems.length} selected favorite(s)?`,
+            POPUP_TYPE.CONFIRM
+        );
+        if (!confirmation) return;
+
+        const removedCount = removeFavoritesByIds(chatId, selectedItems.map(item => item.id), t`Delete ${selectedItems.length} selected favorite(s)`); // Handles saving and popup refresh
+        popupLastClickedIndex = null;
+        if (removedCount > 0 && getCurrentChatId() === chatId) {
+            injectOrUpdateFavoriteIcons();
+        }
+    }
+
+    /** Adds and/or removes tags on all selected favorites. */
+    async function handleBatchTag() {
+        const selectedItems = getSelectedPopupItems();
+        if (!selectedItems.length) return;
+
+        let tagsToAdd = null;
+        let tagsToRemove = [];
+        const popup = new Popup(`
+            <div class="favorites-tags-editor">
+                <h4>${t`Tag ${selectedItems.length} favorite(s)`}</h4>
+                <label for="fav-batch-add-tags">${t`Add tags (comma-separated)`}</label>
+                <input id="fav-batch-add-tags" class="text_pole" type="text">
+                <label for="fav-batch-remove-tags">${t`Remove tags (comma-separated)`}</label>
+                <input id="fav-batch-remove-tags" class="text_pole" type="text">
+            </div>
+        `, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Apply`,
+            cancelButton: t`Cancel`,
+            onClosing: (closingPopup) => {
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    const $dlg = $(closingPopup.dlg);
+                    tagsToAdd = parseTagInput($dlg.find('#fav-batch-add-tags').val());
+                    tagsToRemove = parseTagInput($dlg.find('#fav-batch-remove-tags').val());
+                }
+                return true;
+            },
+        });
+        await popup.show();
+        if (tagsToAdd === null || (!tagsToAdd.length && !tagsToRemove.length)) return;
+
+        const removeKeys = new Set(tagsToRemove.map(tag => tag.toLowerCase()));
+        withUndoStep(t`Tag ${selectedItems.length} favorite(s)`, [currentPopupChatId], () => {
+            selectedItems.forEach(favItem => {
+                const kept = (favItem.tags || []).filter(tag => !removeKeys.has(tag.toLowerCase()));
+                favItem.tags = parseTagInput([...kept, ...tagsToAdd].join(','));
+            });
+        });
+        console.log(logPrefix, `Updated tags on ${selectedItems.length} favorite(s) in chat ${currentPopupChatId}.`);
+        saveFavorites([currentPopupChatId]);
+
+        updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+        renderPluginPage(currentPluginPagePage);
+        toastr.success(t`Updated tags on ${selectedItems.length} favorite(s).`);
+    }
+
+    /** Moves all selected favorites into a collection, optionally taking them out of their other collections. */
+    async function handleBatchMove() {
+        const selectedItems = getSelectedPopupItems();
+        if (!selectedItems.length) return;
+
+        const collections = Object.values(getPluginSettings().collections).sort((a, b) => a.name.localeCompare(b.name));
+        const optionsHtml = collections.map(c => `<option value="${c.id}">${$('<div>').text(c.name).html()}</option>`).join('');
+
+        let targetId = null;
+        let newCollectionName = '';
+        let exclusive = false;
+        const popup = new Popup(`
+            <div class="favorites-tags-editor">
+                <h4>${t`Move ${selectedItems.length} favorite(s) to a collection`}</h4>
+                <select id="fav-batch-collection" class="text_pole">
+                    <option value="">${t`(New collection)`}</option>
+                    ${optionsHtml}
+                </select>
+                <label for="fav-batch-new-collection">${t`New collection name`}</label>
+                <input id="fav-batch-new-collection" class="text_pole" type="text" placeholder="${t`e.g. Best lines`}">
+                <label class="checkbox_label">
+                    <input id="fav-batch-exclusive" type="checkbox">
+                    ${t`Remove them from their other collections`}
+                </label>
+            </div>
+        `, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Move`,
+            cancelButton: t`Cancel`,
+            onClosing: (closingPopup) => {
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    const $dlg = $(closingPopup.dlg);
+                    targetId = String($dlg.find('#fav-batch-collection').val() || '');
+                    newCollectionName = String($dlg.find('#fav-batch-new-collection').val() || '');
+                    exclusive = $dlg.find('#fav-batch-exclusive').prop('checked');
+                }
+                return true;
+            },
+        });
+        await popup.show();
+        if (targetId === null) return; // Cancelled
+        if (!targetId && !String(newCollectionName).trim()) {
+            toastr.warning(t`Pick a collection or enter a name for a new one.`);
+            return;
+        }
+
+        withUndoStep(t`Move ${selectedItems.length} favorite(s)`, [currentPopupChatId], () => {
+            if (!targetId) targetId = createCollection(newCollectionName).id;
+            selectedItems.forEach(favItem => {
+                const current = exclusive ? [] : (favItem.collections || []).filter(id => id !== targetId);
+                favItem.collections = [...current, targetId];
+            });
+        }, { includeCollections: true });
+        console.log(logPrefix, `Moved ${selectedItems.length} favorite(s) to collection ${targetId}.`);
+        saveFavorites([currentPopupChatId]);
+
+        updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+        renderPluginPage(currentPluginPagePage);
+        toastr.success(t`Moved ${selectedItems.length} favorite(s) to "${getPluginSettings().collections[targetId].name}".`);
+    }
+
+    /** Exports the selected favorites through the usual format dialog. */
+    function handleBatchExport() {
+        const chatId = currentPopupChatId;
+        const chatData = getPluginSettings().chats[chatId];
+        const selectedItems = getSelectedPopupItems();
+        if (!chatData || !selectedItems.length) return;
+
+        exportFavorites(selectedItems.map(favItem => ({ chatId, chatData, favItem })), `${chatData.name || chatId}-selection`);
+    }
+
+    /** Copies the selected favorites to the clipboard as plain text, one block per favorite. */
+    async function handleBatchCopy() {
+        const chatId = currentPopupChatId;
+        const selectedItems = getSelectedPopupItems();
+        if (!chatId || !selectedItems.length) return;
+
+        const text = selectedItems.map(favItem => {
+            const body = getFavoriteFullText(chatId, favItem);
+            const header = favItem.kind === 'scene' ? (favItem.title || t`Scene`) : favItem.sender;
+            return favItem.note ? `${header}:\n${body}\n(${t`Note:`} ${favItem.note})` : `${header}:\n${body}`;
+        }).join('\n\n---\n\n');
+
+        try {
+            await copyText(text);
+            toastr.success(t`Copied ${selectedItems.length} favorite(s) to the clipboard.`);
+        } catch (error) {
+            console.error(logPrefix, "Failed to copy favorites:", error);
+            toastr.error(t`Could not copy to the clipboard.`);
+        }
+    }
+
+     /** Handles click on the 'Clear Invalid' button in the popup */
+    async function handleClearInvalidFavorites() {
+        const chatId = currentPopupChatId;
+        if (!chatId || getCurrentChatId() !== chatId) {
+            alert(t`Please ensure you are in the correct chat to clear invalid favorites.`);
+            return;
+        }
+
+        if (!getChatItems(chatId)?.length) {
+            alert(t`No favorites to check in this chat.`);
+            return;
+        }
+
+        // Give moved messages a chance to be re-linked before anything is considered invalid
+        relinkFavorites();
+        const invalidFavIds = getChatItems(chatId).filter(favItem => favItem.unresolved).map(favItem => favItem.id);
+
+        if (invalidFavIds.length === 0) {
+            alert(t`No invalid favorites found (all corresponding messages still exist).`);
+            updateFavoritesPopup(chatId, currentPopupPage); // Show any re-linked positions
+            return;
+        }
+
+        try {
+            const confirmation = await callGenericPopup(
+                t`Found ${invalidFavIds.length} favorite(s) that no longer match any message in this chat. Remove them?`,
+                POPUP_TYPE.CONFIRM
+            );
+
+            if (confirmation) {
+                const removedCount = removeFavoritesByIds(chatId, invalidFavIds, t`Clear invalid favorites`); // Handles saving and counts
+                console.log(logPrefix, `Cleared ${removedCount} invalid favorites from chat ${chatId}.`);
+                if(removedCount > 0) {
+                    alert(t`Removed ${removedCount} invalid favorite entries.`);
+                    // Ensure the final state of the popup is rendered
+                    updateFavoritesPopup(chatId, currentPopupPage);
+                } else {
+                     alert(t`No invalid favorites were removed (operation might have failed).`);
+                }
+            }
+        } catch (error) {
+             console.error(logPrefix, "Error during clear invalid confirmation:", error);
+             if (error !== POPUP_RESULT.CANCEL) {
+                 alert(t`An error occurred while trying to clear invalid favorites.`);
+             }
+        }
+    }
+
+
+    /**
+     * Re-links the current chat's favorites and refreshes everything showing their positions.
+     * Called when a chat is opened or a message is deleted, since both can shift mesids.
+     */
+    function handleMessagePositionsChanged() {
+        const changed = relinkFavorites();
+        injectOrUpdateFavoriteIcons();
+
+        if (changed && favoritesPopup && favoritesPopup.isShown() && currentPopupChatId === getCurrentChatId()) {
+            updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+        }
+    }
+
+
+    // --- Integrity Scanner Functions ---
+
+    /**
+     * Finds the character a private chat belongs to by its avatar. The stored character index is not used,
+     * since indexes shift whenever a character is deleted.
+     * @param {object} chatData The chat's index entry.
+     * @param {object} context The SillyTavern context.
+     * @returns {object|null} The character, or null if it no longer exists or the entry has no avatar.
+     */
+    function findChatCharacter(chatData, context) {
+        if (!chatData.avatar) return null;
+        return context.characters?.find(c => c.avatar === chatData.avatar) || null;
+    }
+
+    /**
+     * Gets a key telling apart favorites of the same message: excerpts by their range, scenes by their length.
+     * @param {object} favItem The favorite item.
+     * @returns {string} The key.
+     */
+    function getDuplicateKey(favItem) {
+        const key = `${favItem.kind || 'message'}:${favItem.messageId}:${favItem.swipeId ?? 0}`;
+        if (favItem.kind === 'excerpt') return `${key}:${favItem.excerpt?.start}-${favItem.excerpt?.end}`;
+        if (favItem.kind === 'scene') return `${key}:${favItem.scene?.messages?.length ?? 0}`;
+        return key;
+    }
+
+    /**
+     * Checks every stored chat for favorites that can no longer be used or are inconsistent.
+     * Archived chats are only checked for count and item problems, since their chat is gone on purpose.
+     * @returns {Promise<object>} Issues per category (see integrityCategories); each is { chatId, detail, favIds? }.
+     */
+    async function scanFavoritesIntegrity() {
+        const context = getContext();
+        const report = Object.fromEntries(Object.keys(integrityCategories).map(category => [category, []]));
+        const chatListCache = new Map(); // avatar -> Promise of chat ids
+
+        await loadAllChatItems();
+        for (const [chatId, chatData] of Object.entries(getPluginSettings().chats)) {
+            const chatName = chatData.name || chatId;
+            const items = getChatItems(chatId);
+
+            if (!chatData.archived) {
+                if (chatData.type === 'group') {
+                    const group = context.groups?.find(g => g.id === chatData.groupId);
+                    if (!group) {
+                        report.missingOwner.push({ chatId, detail: t`${chatName}: group no longer exists` });
+                    } else if (Array.isArray(group.chats) && !group.chats.includes(chatId)) {
+                        report.missingChat.push({ chatId, detail: `${group.name}: ${chatId}` });
+                    }
+                } else if (!chatData.avatar) {
+                    report.unknownOwner.push({ chatId, detail: chatName });
+                } else {
+                    const character = findChatCharacter(chatData, context);
+                    if (!character) {
+                        report.missingOwner.push({ chatId, detail: t`${chatName}: character no longer exists` });
+                    } else if (chatId !== getCurrentChatId()) {
+                        if (!chatListCache.has(character.avatar)) {
+                            chatListCache.set(character.avatar, fetchCharacterChatIds(character.avatar).catch(error => {
+                                console.error(logPrefix, `Error listing the chats of ${character.avatar}:`, error);
+                                return null;
+                            }));
+                        }
+                        const chatIds = await chatListCache.get(character.avatar);
+                        if (chatIds && !chatIds.has(chatId)) {
+                            report.missingChat.push({ chatId, detail: `${character.name}: ${chatId}` });
+                        }
+                    }
+                }
+            }
+
+            if (!items) continue; // The chat file could not be read
+
+            if (chatData.count !== items.length) {
+                report.countMismatch.push({ chatId, detail: t`${chatName}: count ${chatData.count ?? t`missing`}, ${items.length} item(s)` });
+            }
+
+            const seen = new Map();
+            const duplicateIds = [];
+            items.forEach(favItem => {
+                const key = getDuplicateKey(favItem);
+                if (seen.has(key)) duplicateIds.push(favItem.id);
+                else seen.set(key, favItem);
+            });
+            if (duplicateIds.length) {
+                report.duplicates.push({ chatId, detail: t`${chatName}: ${duplicateIds.length} duplicate(s)`, favIds: duplicateIds });
             }
 
-            // 2. Update state if icon container exists
-            if ($iconContainer.length > 0) {
-                const messageId = $messageElement.attr('mesid');
-                if (messageId) {
-                    const isFav = isFavorited(chatId, messageId);
-                    updateFavoriteIconState($messageElement, isFav);
-                } else {
-                    // console.warn(logPrefix, "Message element missing mesid attribute:", $messageElement);
-                }
+            const incomplete = items.filter(favItem => !favItem.id || !favItem.timestamp);
+            if (incomplete.length) {
+                report.missingFields.push({ chatId, detail: t`${chatName}: ${incomplete.length} item(s) without id or timestamp` });
             }
-        });
-        // console.log(logPrefix, "Icon update complete.");
+        }
+
+        return report;
     }
 
+    /**
+     * Repairs all issues of one category found by scanFavoritesIntegrity().
+     * @param {string} category A key of integrityCategories.
+     * @param {object[]} issues The category's issues.
+     * @returns {number} How many chats were repaired.
+     */
+    function repairIntegrityIssues(category, issues) {
+        const settings = getPluginSettings();
+        const { undoLabel, destructive } = integrityCategories[category];
+        if (!undoLabel) return 0;
+        const chatIds = issues.map(issue => issue.chatId).filter(chatId => settings.chats[chatId]);
+        if (chatIds.length === 0) return 0;
+
+        withUndoStep(translate(undoLabel), chatIds, () => {
+            issues.forEach(issue => {
+                const chatData = settings.chats[issue.chatId];
+                if (!chatData) return;
+                let items = getChatItems(issue.chatId) || [];
+
+                switch (category) {
+                    case 'missingOwner':
+                        deleteChatEntry(issue.chatId);
+                        return;
+                    case 'missingChat':
+                        archiveChatEntry(issue.chatId);
+                        return;
+                    case 'countMismatch':
+                        break; // Setting the items recounts them
+                    case 'duplicates': {
+                        const duplicateIds = new Set(issue.favIds);
+                        const keptByKey = new Map();
+                        items = items.filter(favItem => {
+                            const key = getDuplicateKey(favItem);
+                            if (!duplicateIds.has(favItem.id)) {
+                                keptByKey.set(key, favItem);
+                                return true;
+                            }
+                            // Keep what the duplicate added to the favorite it duplicates
+                            const kept = keptByKey.get(key);
+                            if (kept) {
+                                kept.tags = [...new Set([...(kept.tags || []), ...(favItem.tags || [])])];
+                                kept.collections = [...new Set([...(kept.collections || []), ...(favItem.collections || [])])];
+                                if (!kept.note && favItem.note) kept.note = favItem.note;
+                                kept.pinned = kept.pinned || favItem.pinned;
+                                if (getFavoriteRating(favItem) > getFavoriteRating(kept)) kept.rating = favItem.rating;
+                            }
+                            return !kept;
+                        });
+                        break;
+                    }
+                    case 'missingFields':
+                        items.forEach(favItem => {
+                            if (!favItem.id) favItem.id = uuidv4();
+                            if (!favItem.timestamp) {
+                                favItem.timestamp = favItem.scene?.messages?.[0]?.send_date || favItem.snapshot?.capturedAt || Date.now();
+                            }
+                        });
+                        break;
+                }
+                setChatItems(issue.chatId, items);
+            });
+            saveFavorites(chatIds);
+        }, { destructive });
 
-    // --- Event Handlers ---
+        refreshFavoriteViews();
+        return chatIds.length;
+    }
 
     /**
-     * Handles clicking the favorite icon on a message. Uses event delegation.
-     * @param {Event} event - The click event object.
+     * Generates the integrity report shown in the scanner popup.
+     * @param {object} report Result of scanFavoritesIntegrity().
+     * @returns {string} HTML string.
      */
-    function handleFavoriteToggle(event) {
-        const $iconContainer = $(event.target).closest(favIconSelector);
-        if (!$iconContainer.length) return; // Click wasn't on the icon or its container
+    function renderIntegrityReport(report) {
+        const escape = (text) => $('<div>').text(text).html();
+        const categories = Object.entries(integrityCategories);
+        if (categories.every(([category]) => report[category].length === 0)) {
+            return `<div class="empty-state">${t`No problems found. All stored favorites are consistent.`}</div>`;
+        }
 
-        const $messageElement = $iconContainer.closest('.mes');
-        const messageId = $messageElement.attr('mesid');
-        const chatInfo = getCurrentChatInfo();
+        return categories.map(([category, { label, repairLabel }]) => {
+            const issues = report[category];
+            const shown = issues.slice(0, maxIntegrityDetails);
+            return `
+                <div class="fav-integrity-category${issues.length ? '' : ' clean'}">
+                    <div class="fav-integrity-heading">
+                        <span>${translate(label)} <span class="count">(${issues.length})</span></span>
+                        ${!issues.length ? '<i class="fa-solid fa-check"></i>' : repairLabel ? `<button class="menu_button fav-integrity-repair" data-category="${category}">${translate(repairLabel)}</button>` : ''}
+                    </div>
+                    ${shown.map(issue => `<div class="fav-integrity-issue">${escape(issue.detail)}</div>`).join('')}
+                    ${issues.length > shown.length ? `<div class="fav-integrity-issue">${t`… and ${issues.length - shown.length} more`}</div>` : ''}
+                </div>`;
+        }).join('');
+    }
 
-        if (!messageId || !chatInfo) {
-            console.error(logPrefix, "Could not get messageId or chatInfo on toggle.");
-            alert("Error: Could not determine message or chat context.");
-            return;
-        }
+    /** Scans all stored favorites and shows a report with a repair action per problem category. */
+    async function openIntegrityScanner() {
+        const popupHtml = `
+            <div class="favorites-popup-content favorites-integrity-report">
+                <h3>${t`Favorites Integrity Check`}</h3>
+                <div id="fav-integrity-report"><div class="empty-state">${t`Scanning...`}</div></div>
+            </div>
+        `;
+        const popup = new Popup(popupHtml, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true });
+        const $report = $(popup.dom).find('#fav-integrity-report');
+        let report = null;
+
+        const runScan = async () => {
+            try {
+                report = await scanFavoritesIntegrity();
+                $report.html(renderIntegrityReport(report));
+            } catch (error) {
+                console.error(logPrefix, "Error while scanning favorites:", error);
+                $report.html(`<div class="empty-state">${t`The scan failed. See the browser console for details.`}</div>`);
+            }
+        };
 
-        const chatId = chatInfo.chatId;
-        const $icon = $iconContainer.find('i');
+        $(popup.dom).on('click', '.fav-integrity-repair', async (event) => {
+            const category = $(event.currentTarget).data('category');
+            if (!report?.[category]?.length) return;
+            const { label, destructive } = integrityCategories[category];
+            if (destructive) {
+                const confirmation = await callGenericPopup(t`${translate(label)}: delete the favorites of ${report[category].length} chat(s)?`, POPUP_TYPE.CONFIRM);
+                if (!confirmation) return;
+            }
+            const repaired = repairIntegrityIssues(category, report[category]);
+            console.log(logPrefix, `Repaired "${category}" in ${repaired} chat(s).`);
+            await runScan();
+        });
 
-        // 1. Determine CURRENT state (visually)
-        const isCurrentlyFavorited = $icon.hasClass(favoritedIconClass);
+        const shown = popup.show();
+        runScan();
+        await shown;
+    }
 
-        // 2. Immediately toggle visual state
-        updateFavoriteIconState($messageElement, !isCurrentlyFavorited);
 
-        // 3. Call data function based on the NEW state
-        if (!isCurrentlyFavorited) { // It WAS unfavorited, NEW state is favorited
-            const message = getChatMessageById(messageId);
-            if (message) {
-                addFavorite(chatInfo, message);
-            } else {
-                console.error(logPrefix, `Could not find message object for ID ${messageId} to favorite.`);
-                alert(`Error: Could not find message data for ID ${messageId}. Cannot favorite.`);
-                // Revert visual state on error
-                updateFavoriteIconState($messageElement, false);
+    // --- Global Favorites Browser Functions ---
+
+    /**
+     * Gets a key identifying the character or group that owns a chat, used by the browser's owner filter.
+     * @param {object} chatData The chat entry from settings.
+     * @returns {string} The owner key.
+     */
+    function getChatOwnerKey(chatData) {
+        if (chatData.type === "group") return `group:${chatData.groupId || chatData.name}`;
+        return `private:${chatData.avatar || chatData.characterId || chatData.name}`;
+    }
+
+    /**
+     * Flattens every stored favorite from every chat into one list. Only chats whose favorites are at hand
+     * are included, so callers read them first with loadAllChatItems().
+     * @returns {Array<{chatId: string, chatData: object, favItem: object}>} All favorites with their chat.
+     */
+    function collectAllFavorites() {
+        const allChats = getPluginSettings().chats || {};
+        const entries = [];
+        Object.entries(allChats).forEach(([chatId, chatData]) => {
+            (getChatItems(chatId) || []).forEach(favItem => entries.push({ chatId, chatData, favItem }));
+        });
+        return entries;
+    }
+
+    /**
+     * Parses a date input value ("YYYY-MM-DD") into a local-time timestamp.
+     * @param {string} value The input value.
+     * @param {boolean} endOfDay Whether to return the last millisecond of that day.
+     * @returns {number|null} Milliseconds since epoch, or null if empty/invalid.
+     */
+    function parseDateInput(value, endOfDay) {
+        if (!value) return null;
+        const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+        return isNaN(date.getTime()) ? null : date.getTime();
+    }
+
+    /**
+     * Applies the global browser's search text and filters to a list of favorites.
+     * @param {Array<{chatId: string, chatData: object, favItem: object}>} entries Favorites to filter.
+     * @param {object} filters The filter state (see globalBrowserFilters).
+     * @returns {Array<{chatId: string, chatData: object, favItem: object}>} Matching favorites.
+     */
+    function filterFavorites(entries, filters) {
+        const query = filters.query.trim().toLowerCase();
+        const dateFrom = parseDateInput(filters.dateFrom, false);
+        const dateTo = parseDateInput(filters.dateTo, true);
+
+        return entries.filter(({ chatData, favItem }) => {
+            if (filters.owner && getChatOwnerKey(chatData) !== filters.owner) return false;
+            if (filters.role && favItem.role !== filters.role) return false;
+            if (filters.hasNote && !favItem.note) return false;
+            if (filters.minRating && getFavoriteRating(favItem) < filters.minRating) return false;
+            if (filters.collection && !favItem.collections?.includes(filters.collection)) return false;
+
+            if (dateFrom !== null || dateTo !== null) {
+                if (!favItem.timestamp) return false;
+                const time = timestampToMoment(favItem.timestamp).valueOf();
+                if (dateFrom !== null && time < dateFrom) return false;
+                if (dateTo !== null && time > dateTo) return false;
             }
-        } else { // It WAS favorited, NEW state is unfavorited
-            removeFavoriteByMessageId(chatId, messageId);
-        }
+
+            if (query) {
+                const haystack = [favItem.title, favItem.snapshot?.text, favItem.note, favItem.sender, ...(favItem.tags || [])].filter(Boolean).join('\n').toLowerCase();
+                if (!haystack.includes(query)) return false;
+            }
+            return true;
+        });
     }
 
     /**
-     * Handles clicking the sidebar button to open the popup.
+     * Generates HTML for a single result in the global browser.
+     * @param {string} chatId The chat the favorite belongs to.
+     * @param {object} chatData The chat entry from settings.
+     * @param {object} favItem The favorite item object.
+     * @returns {string} HTML string for the result.
      */
-    function openFavoritesPopup() {
-        const chatInfo = getCurrentChatInfo();
-        if (!chatInfo) {
-            alert("Please open a chat first.");
-            return;
-        }
-        const chatId = chatInfo.chatId;
-        currentPopupChatId = chatId; // Track which chat we opened it for
-        currentPopupPage = 1; // Reset to first page
+    function renderGlobalFavoriteItem(chatId, chatData, favItem) {
+        const formattedTimestamp = formatFavoriteDate(favItem.timestamp);
+        const noteDisplay = renderFavoriteNote(favItem);
+        const avatarDisplay = renderFavoriteAvatar(favItem, getCurrentChatId() === chatId);
+        const chatName = $('<div>').text(chatData.name || t`Chat ${chatId}`).html();
 
-        if (!favoritesPopup) {
-            // Create popup instance only once
-             const popupHtml = `
-                <div class="favorites-popup-content">
-                    <h4 id="favorites-popup-title">Favorites</h4>
-                    <hr>
-                    <div id="${popupListContainerId}" class="fav-list-container">
-                        <div class="empty-state">Loading...</div>
+        return `
+            <div class="favorite-item" data-chat-id="${$('<div>').text(chatId).html()}" data-fav-id="${favItem.id}" title="${t`Click to go to this message`}">
+              <div class="fav-meta">
+                <span class="fav-chat-link">${chatName}</span> &middot;
+                ${avatarDisplay}${$('<div>').text(favItem.sender).html()} (${translate(favItem.role)}) - ${formattedTimestamp}${renderSwipeLabel(favItem)}
+                ${renderRatingStars(getFavoriteRating(favItem))}
+              </div>
+              ${noteDisplay}
+              ${renderTagChips(favItem)}
+              ${renderFavoriteBody(favItem, getCurrentChatId() === chatId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Opens the global browser listing favorites from every chat.
+     * @param {object} [presetFilters] Filters to apply on open, e.g. { collection } when browsing a collection.
+     */
+    async function openGlobalBrowser(presetFilters) {
+        globalBrowserPage = 1;
+
+        if (!globalBrowserPopup) {
+            const popupHtml = `
+                <div class="favorites-popup-content favorites-global-browser">
+                    <h4>${t`All Favorites`}</h4>
+                    <div class="fav-global-filters">
+                        <input id="fav-global-query" class="text_pole" type="search" placeholder="${t`Search text, notes, senders and tags...`}">
+                        <select id="fav-global-owner" class="text_pole"></select>
+                        <select id="fav-global-collection" class="text_pole"></select>
+                        <select id="fav-global-role" class="text_pole">
+                            <option value="">${t`All roles`}</option>
+                            <option value="user">${t`User`}</option>
+                            <option value="character">${t`Character`}</option>
+                            <option value="system">${t`System`}</option>
+                        </select>
+                        <label>${t`From`} <input id="fav-global-date-from" class="text_pole" type="date"></label>
+                        <label>${t`To`} <input id="fav-global-date-to" class="text_pole" type="date"></label>
+                        <label class="checkbox_label"><input id="fav-global-has-note" type="checkbox"> ${t`Has note`}</label>
+                        <select id="fav-global-min-rating" class="text_pole">${renderMinRatingOptions()}</select>
+                        <select id="fav-global-sort" class="text_pole">
+                            <option value="recent">${t`Recently favorited first`}</option>
+                            <option value="rating">${t`Highest rated first`}</option>
+                        </select>
                     </div>
-                    <div id="${popupPaginationId}" class="pagination-controls" style="display: none;">
-                        <button id="fav-popup-prev" class="menu_button fa-solid fa-arrow-left" title="Previous Page"></button>
-                        <span id="fav-popup-page-indicator">Page 1 / 1</span>
-                        <button id="fav-popup-next" class="menu_button fa-solid fa-arrow-right" title="Next Page"></button>
+                    <div id="fav-global-summary" class="fav-global-summary"></div>
+                    <div id="${globalBrowserListId}" class="fav-list-container">
+                        <div class="empty-state">${t`Loading...`}</div>
+                    </div>
+                    <div id="${globalBrowserPaginationId}" class="pagination-controls" style="display: none;">
+                        <button id="fav-global-prev" class="menu_button fa-solid fa-arrow-left" title="${t`Previous Page`}"></button>
+                        <span id="fav-global-page-indicator">${t`Page ${1} / ${1}`}</span>
+                        <button id="fav-global-next" class="menu_button fa-solid fa-arrow-right" title="${t`Next Page`}"></button>
                     </div>
                     <hr>
                     <div class="popup_buttons">
-                       <button id="fav-popup-clear-invalid" class="menu_button">Clear Invalid</button>
-                       <button id="fav-popup-close" class="menu_button">Close</button>
+                       <button id="fav-global-export" class="menu_button">${t`Export Results`}</button>
+                       <button id="fav-global-close" class="menu_button">${t`Close`}</button>
                     </div>
                 </div>
             `;
-            favoritesPopup = new Popup(popupHtml, 'text', '', { okButton: 'none', cancelButton: 'none', wide: true, large: true });
-
-             // Setup event delegation for popup content (attach to the popup's persistent element)
-             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fa-pencil`, handleEditNote);
-             $(favoritesPopup.dom).on('click', `#${popupListContainerId} .fa-trash`, handleDeleteFavoriteFromPopup);
-             $(favoritesPopup.dom).on('click', '#fav-popup-prev', () => handlePopupPagination('prev'));
-             $(favoritesPopup.dom).on('click', '#fav-popup-next', () => handlePopupPagination('next'));
-             $(favoritesPopup.dom).on('click', '#fav-popup-clear-invalid', handleClearInvalidFavorites);
-             $(favoritesPopup.dom).on('click', '#fav-popup-close', () => favoritesPopup.hide());
+            globalBrowserPopup = new Popup(popupHtml, 'text', '', { okButton: 'none', cancelButton: 'none', wide: true, large: true });
+
+            const $dom = $(globalBrowserPopup.dom);
+            const applyFilters = () => {
+                globalBrowserFilters.query = String($dom.find('#fav-global-query').val() || '');
+                globalBrowserFilters.owner = String($dom.find('#fav-global-owner').val() || '');
+                globalBrowserFilters.role = String($dom.find('#fav-global-role').val() || '');
+                globalBrowserFilters.dateFrom = String($dom.find('#fav-global-date-from').val() || '');
+                globalBrowserFilters.dateTo = String($dom.find('#fav-global-date-to').val() || '');
+                globalBrowserFilters.hasNote = $dom.find('#fav-global-has-note').prop('checked');
+                globalBrowserFilters.collection = String($dom.find('#fav-global-collection').val() || '');
+                globalBrowserFilters.minRating = Number($dom.find('#fav-global-min-rating').val()) || 0;
+                globalBrowserSort = String($dom.find('#fav-global-sort').val() || 'recent');
+                updateGlobalBrowser(1);
+            };
+            $dom.on('input', '#fav-global-query', debounce(applyFilters, 300));
+            $dom.on('change', '#fav-global-owner, #fav-global-collection, #fav-global-role, #fav-global-date-from, #fav-global-date-to, #fav-global-has-note, #fav-global-min-rating, #fav-global-sort', applyFilters);
+            $dom.on('click', `#${globalBrowserListId} .favorite-item`, handleJumpFromGlobalBrowser);
+            $dom.on('click', `#${globalBrowserListId} .fav-rating-star`, (event) => {
+                const $item = $(event.target).closest('.favorite-item');
+                rateFavorite(String($item.data('chat-id')), $item.data('fav-id'), Number($(event.target).data('rating')));
+            });
+            $dom.on('click', `#${globalBrowserListId} .fav-expand-toggle`, handleExpandToggle);
+            $dom.on('click', '#fav-global-prev', () => updateGlobalBrowser(globalBrowserPage - 1));
+            $dom.on('click', '#fav-global-next', () => updateGlobalBrowser(globalBrowserPage + 1));
+            $dom.on('click', '#fav-global-export', () => exportFavorites(filterFavorites(collectAllFavorites(), globalBrowserFilters), 'selection'));
+            $dom.on('click', '#fav-global-close', () => globalBrowserPopup.hide());
+        }
 
+        if (presetFilters) {
+            Object.assign(globalBrowserFilters, presetFilters);
         }
 
-        updateFavoritesPopup(chatId, currentPopupPage); // Populate content
-        favoritesPopup.show();
+        populateGlobalOwnerFilter();
+        populateGlobalCollectionFilter();
+        syncGlobalFilterInputs();
+        $(globalBrowserPopup.dom).find(`#${globalBrowserListId}`).html(`<div class="empty-state">${t`Loading...`}</div>`);
+        globalBrowserPopup.show();
+        await loadAllChatItems(); // The favorites of closed chats are read from their chat files
+        updateGlobalBrowser(globalBrowserPage);
     }
 
-     /**
-     * Renders the content of the favorites popup.
-     * @param {string} chatId The chat ID to display favorites for.
+    /** Fills the owner filter with every character and group that has favorites, keeping the current choice. */
+    function populateGlobalOwnerFilter() {
+        if (!globalBrowserPopup) return;
+
+        const owners = new Map();
+        Object.values(getPluginSettings().chats || {}).forEach(chatData => {
+            const key = getChatOwnerKey(chatData);
+            if (!owners.has(key)) {
+                owners.set(key, `${chatData.type === "group" ? t`Group` : t`Character`}: ${chatData.name || key}`);
+            }
+        });
+
+        let optionsHtml = `<option value="">${t`All characters and groups`}</option>`;
+        [...owners.entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .forEach(([key, label]) => {
+                optionsHtml += `<option value="${$('<div>').text(key).html()}">${$('<div>').text(label).html()}</option>`;
+            });
+
+        $(globalBrowserPopup.dom).find('#fav-global-owner').html(optionsHtml);
+        if (!owners.has(globalBrowserFilters.owner)) globalBrowserFilters.owner = '';
+    }
+
+    /** Fills the collection filter with all collections, keeping the current choice. */
+    function populateGlobalCollectionFilter() {
+        if (!globalBrowserPopup) return;
+
+        const collections = getPluginSettings().collections;
+        let optionsHtml = `<option value="">${t`All collections`}</option>`;
+        Object.values(collections)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(c => {
+                optionsHtml += `<option value="${c.id}">${$('<div>').text(c.name).html()}</option>`;
+            });
+
+        if (!collections[globalBrowserFilters.collection]) globalBrowserFilters.collection = '';
+        $(globalBrowserPopup.dom).find('#fav-global-collection').html(optionsHtml);
+    }
+
+    /** Writes the current filter state into the browser's inputs, e.g. after a preset was applied. */
+    function syncGlobalFilterInputs() {
+        if (!globalBrowserPopup) return;
+
+        const $dom = $(globalBrowserPopup.dom);
+        $dom.find('#fav-global-query').val(globalBrowserFilters.query);
+        $dom.find('#fav-global-owner').val(globalBrowserFilters.owner);
+        $dom.find('#fav-global-collection').val(globalBrowserFilters.collection);
+        $dom.find('#fav-global-role').val(globalBrowserFilters.role);
+        $dom.find('#fav-global-date-from').val(globalBrowserFilters.dateFrom);
+        $dom.find('#fav-global-date-to').val(globalBrowserFilters.dateTo);
+        $dom.find('#fav-global-has-note').prop('checked', globalBrowserFilters.hasNote);
+        $dom.find('#fav-global-min-rating').val(String(globalBrowserFilters.minRating || 0));
+        $dom.find('#fav-global-sort').val(globalBrowserSort);
+    }
+
+    /**
+     * Renders the global browser's result list for the current filters.
      * @param {number} page The page number to display.
      */
-    function updateFavoritesPopup(chatId, page = 1) {
-        if (!favoritesPopup) return;
+    function updateGlobalBrowser(page = 1) {
+        if (!globalBrowserPopup) return;
 
-        currentPopupChatId = chatId; // Update tracked chat ID
-        currentPopupPage = page;
-        const settings = getPluginSettings();
-        const chatData = settings.chats[chatId];
-        const context = getContext();
-        const isCurrentChat = getCurrentChatId() === chatId;
+        const recent = (a, b) => getFavoritedTime(b.favItem) - getFavoritedTime(a.favItem);
+        const results = filterFavorites(collectAllFavorites(), globalBrowserFilters)
+            .sort(globalBrowserSort === 'rating' ? (a, b) => getFavoriteRating(b.favItem) - getFavoriteRating(a.favItem) || recent(a, b) : recent);
 
-        let title = "Favorites";
-        let favItems = [];
-        let totalItems = 0;
+        const $dom = $(globalBrowserPopup.dom);
+        const $listContainer = $dom.find(`#${globalBrowserListId}`);
+        const $paginationControls = $dom.find(`#${globalBrowserPaginationId}`);
+        $dom.find('#fav-global-summary').text(t`${results.length} favorite(s) found`);
 
-        if (chatData) {
-            title = `Favorites for: ${chatData.name || `Chat ${chatId}`} (${chatData.count})`;
-            // Sort by timestamp ascending (oldest first)
-            favItems = [...chatData.items].sort((a, b) => a.timestamp - b.timestamp);
-            totalItems = chatData.count;
-        } else {
-            title = `Favorites for: Chat ${chatId} (0)`;
+        if (results.length === 0) {
+            $listContainer.html(`<div class="empty-state">${t`No favorites match these filters.`}</div>`);
+            $paginationControls.hide();
+            globalBrowserPage = 1;
+            return;
         }
 
-        const $popupContent = $(favoritesPopup.dom).find('.favorites-popup-content');
-        $popupContent.find('#favorites-popup-title').text(title);
+        const totalPages = Math.ceil(results.length / itemsPerPageGlobalBrowser);
+        page = Math.max(1, Math.min(page, totalPages));
+        globalBrowserPage = page;
 
-        const $listContainer = $popupContent.find(`#${popupListContainerId}`);
-        const $paginationControls = $popupContent.find(`#${popupPaginationId}`);
-        const $pageIndicator = $popupContent.find('#fav-popup-page-indicator');
-        const $prevButton = $popupContent.find('#fav-popup-prev');
-        const $nextButton = $popupContent.find('#fav-popup-next');
-        const $clearInvalidButton = $popupContent.find('#fav-popup-clear-invalid');
+        const startIndex = (page - 1) * itemsPerPageGlobalBrowser;
+        const listHtml = results
+            .slice(startIndex, startIndex + itemsPerPageGlobalBrowser)
+            .map(({ chatId, chatData, favItem }) => renderGlobalFavoriteItem(chatId, chatData, favItem))
+            .join('');
+        $listContainer.html(listHtml);
+        updateExpandToggles($listContainer);
 
-        if (totalItems === 0) {
-            $listContainer.html('<div class="empty-state">No favorites in this chat yet.</div>');
-            $paginationControls.hide();
-            $clearInvalidButton.prop('disabled', true);
-            return;
+        $dom.find('#fav-global-page-indicator').text(t`Page ${page} / ${totalPages}`);
+        $dom.find('#fav-global-prev').prop('disabled', page === 1);
+        $dom.find('#fav-global-next').prop('disabled', page === totalPages);
+        $paginationControls.toggle(totalPages > 1);
+        $listContainer.scrollTop(0);
+    }
+
+    /** Handles clicks on a global browser result by jumping to its chat and message */
+    async function handleJumpFromGlobalBrowser(event) {
+        if ($(event.target).closest('.fav-rating, .fav-scene, .fav-expand-toggle, .fav-attachments, .fav-note a').length) return; // Let previews expand, ratings change and attachments and links open instead
+        const $item = $(event.target).closest('.favorite-item');
+        const chatId = $item.data('chat-id');
+        const favId = $item.data('fav-id');
+        if (!chatId || !favId) return;
+
+        globalBrowserPopup.hide();
+        await jumpToFavorite(String(chatId), favId);
+    }
+
+
+    // --- Export / Import Functions ---
+
+    /**
+     * Gets the best available full text of a favorite: the live message when its chat is open, else its snapshot.
+     * @param {string} chatId The chat the favorite belongs to.
+     * @param {object} favItem The favorite item object.
+     * @returns {string} The message text, or an empty string if none was ever captured.
+     */
+    function getFavoriteFullText(chatId, favItem) {
+        if (favItem.kind === 'scene') {
+            return formatSceneText(getSceneMessages(favItem, getCurrentChatId() === chatId));
+        }
+        if (favItem.kind === 'excerpt') {
+            return favItem.excerpt?.text || '';
+        }
+        if (getCurrentChatId() === chatId && !favItem.unresolved) {
+            const message = getChatMessageById(favItem.messageId);
+            const swipeText = getSwipeText(message, favItem.swipeId ?? 0);
+            if (swipeText !== null) return swipeText;
         }
+        return favItem.snapshot?.text || '';
+    }
 
-        const totalPages = Math.ceil(totalItems / itemsPerPagePopup);
-        page = Math.max(1, Math.min(page, totalPages)); // Clamp page number
-        currentPopupPage = page; // Update global state
+    /**
+     * Groups flattened favorites back into chats, in a stable order for export.
+     * @param {Array<{chatId: string, chatData: object, favItem: object}>} entries Favorites to group.
+     * @returns {Array<{chatId: string, chatData: object, items: object[]}>} One entry per chat.
+     */
+    function groupEntriesByChat(entries) {
+        const byChat = new Map();
+        entries.forEach(({ chatId, chatData, favItem }) => {
+            if (!byChat.has(chatId)) byChat.set(chatId, { chatId, chatData, items: [] });
+            byChat.get(chatId).items.push(favItem);
+        });
+        const groups = [...byChat.values()];
+        groups.forEach(group => group.items.sort((a, b) => parseInt(a.messageId, 10) - parseInt(b.messageId, 10)));
+        return groups.sort((a, b) => (a.chatData.name || a.chatId).localeCompare(b.chatData.name || b.chatId));
+    }
 
-        const startIndex = (page - 1) * itemsPerPagePopup;
-        const endIndex = startIndex + itemsPerPagePopup;
-        const itemsToShow = favItems.slice(startIndex, endIndex);
+    /**
+     * Builds a versioned JSON export that handleImportFavorites() can read back.
+     * @param {Array<{chatId: string, chatData: object, favItem: object}>} entries Favorites to export.
+     * @returns {string} The JSON document.
+     */
+    function buildExportJson(entries) {
+        const allCollections = getPluginSettings().collections;
+        const chats = {};
+        const usedCollections = {};
+
+        groupEntriesByChat(entries).forEach(({ chatId, chatData, items }) => {
+            const { type, name, characterId, groupId, avatar } = chatData;
+            chats[chatId] = {
+                type, name, characterId, groupId, avatar,
+                count: items.length,
+                // Bake in the live text so the export is complete even for items lacking a snapshot
+                items: items.map(favItem => ({
+                    ...favItem,
+                    snapshot: { ...(favItem.snapshot || {}), text: getFavoriteFullText(chatId, favItem) },
+                })),
+            };
+            items.forEach(favItem => (favItem.collections || []).forEach(id => {
+                if (allCollections[id]) usedCollections[id] = allCollections[id];
+            }));
+        });
 
-        let listHtml = '';
-        itemsToShow.forEach(favItem => {
-            listHtml += renderFavoriteItem(favItem, isCurrentChat);
+        return JSON.stringify({
+            format: exportFormatName,
+            version: exportFormatVersion,
+            exportedAt: new Date().toISOString(),
+            collections: usedCollections,
+            chats,
+        }, null, 2);
+    }
+
+    /**
+     * Builds a Markdown export with one quote block per favorite.
+     * @param {Array<{chatId: string, chatData: object, favItem: object}>} entries Favorites to export.
+     * @returns {string} The Markdown document.
+     */
+    function buildExportMarkdown(entries) {
+        const collections = getPluginSettings().collections;
+        const lines = [`# ${t`Favorites`}`, '', `_${t`Exported ${new Date().toLocaleString(getCurrentLocale())}`}_`, ''];
+
+        groupEntriesByChat(entries).forEach(({ chatId, chatData, items }) => {
+            lines.push(`## ${chatData.name || t`Chat ${chatId}`}`, '', `_${t`Chat: ${chatId}`}_`, '');
+            items.forEach(favItem => {
+                const formattedTimestamp = formatFavoriteDate(favItem.timestamp);
+                const heading = favItem.kind === 'scene'
+                    ? `**${t`Scene: ${favItem.title}`}** ${t`(${favItem.scene?.messages?.length || 0} messages)`}`
+                    : `**${favItem.sender}** (${translate(favItem.role)})`;
+                lines.push(`> ${heading} — ${formattedTimestamp}`, '>');
+                getFavoriteFullText(chatId, favItem).split('\n').forEach(line => lines.push(`> ${line}`));
+                lines.push('');
+                if (favItem.note) lines.push(`**${t`Note:`}** ${favItem.note}`, '');
+                const labels = [
+                    ...(favItem.collections || []).filter(id => collections[id]).map(id => `📁 ${collections[id].name}`),
+                    ...(favItem.tags || []).map(tag => `#${tag}`),
+                ];
+                if (labels.length) lines.push(labels.join(' · '), '');
+            });
         });
 
-        $listContainer.html(listHtml);
+        return lines.join('\n');
+    }
 
-        // Update and show pagination
-        $pageIndicator.text(`Page ${page} / ${totalPages}`);
-        $prevButton.prop('disabled', page === 1);
-        $nextButton.prop('disabled', page === totalPages);
-        $paginationControls.show();
+    /**
+     * Builds a self-contained, styled HTML "anthology" of favorites.
+     * @param {Array<{chatId: string, chatData: object, favItem: object}>} entries Favorites to export.
+     * @returns {string} The HTML document.
+     */
+    function buildExportHtml(entries) {
+        const escape = (text) => $('<div>').text(text ?? '').html();
+        const collections = getPluginSettings().collections;
+
+        const sectionsHtml = groupEntriesByChat(entries).map(({ chatId, chatData, items }) => {
+            const itemsHtml = items.map(favItem => {
+                const formattedTimestamp = formatFavoriteDate(favItem.timestamp);
+                const paragraphs = getFavoriteFullText(chatId, favItem)
+                    .split(/\n{2,}/)
+                    .map(paragraph => `<p>${escape(paragraph).replace(/\n/g, '<br>')}</p>`)
+                    .join('');
+                const labels = [
+                    ...(favItem.collections || []).filter(id => collections[id]).map(id => `<span class="label">${escape(collections[id].name)}</span>`),
+                    ...(favItem.tags || []).map(tag => `<span class="label">#${escape(tag)}</span>`),
+                ].join('');
+                return `
+    <article class="favorite ${escape(favItem.role)}">
+      <header><strong>${escape(favItem.kind === 'scene' ? t`Scene: ${favItem.title}` : favItem.sender)}</strong> <time>${escape(formattedTimestamp)}</time></header>
+      <blockquote>${paragraphs}</blockquote>
+      ${favItem.note ? `<aside class="note">${renderNoteMarkdown(favItem.note)}</aside>` : ''}
+      ${labels ? `<footer>${labels}</footer>` : ''}
+    </article>`;
+            }).join('');
+            return `
+  <section>
+    <h2>${escape(chatData.name || t`Chat ${chatId}`)}</h2>
+    <p class="chat-id">${escape(chatId)}</p>${itemsHtml}
+  </section>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="${escape(getCurrentLocale() || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${t`Favorites Anthology`}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #2b2b2b; background: #faf7f0; line-height: 1.6; }
+  h1 { text-align: center; font-weight: normal; letter-spacing: 0.05em; }
+  .exported { text-align: center; color: #888; font-size: 0.9em; }
+  h2 { border-bottom: 2px solid #d4af37; padding-bottom: 4px; margin-top: 48px; }
+  .chat-id { color: #999; font-size: 0.8em; margin-top: -8px; }
+  .favorite { background: #fff; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); padding: 16px 20px; margin: 20px 0; }
+  .favorite.user { border-left: 4px solid #6a8caf; }
+  .favorite.character { border-left: 4px solid #d4af37; }
+  .favorite.system { border-left: 4px solid #aaa; }
+  .favorite header { font-size: 0.9em; color: #555; }
+  .favorite time { color: #999; margin-left: 8px; }
+  blockquote { margin: 10px 0; padding: 0; font-size: 1.05em; }
+  .note { font-style: italic; color: #6b5b2b; background: #fbf3da; padding: 6px 10px; border-radius: 4px; }
+  footer { margin-top: 8px; }
+  .label { display: inline-block; font-size: 0.8em; background: #eee; border-radius: 10px; padding: 1px 8px; margin-right: 4px; }
+</style>
+</head>
+<body>
+  <h1>${t`Favorites Anthology`}</h1>
+  <p class="exported">${t`Exported ${escape(new Date().toLocaleString(getCurrentLocale()))}`} &middot; ${t`${entries.length} favorite(s)`}</p>${sectionsHtml}
+</body>
+</html>
+`;
+    }
 
-        // Enable/disable clear invalid button
-        $clearInvalidButton.prop('disabled', !isCurrentChat);
-        if (!isCurrentChat) {
-             $clearInvalidButton.attr('title', 'Switch to this chat to clear invalid favorites.');
-        } else {
-             $clearInvalidButton.removeAttr('title');
+    /**
+     * Asks for an export format and downloads the given favorites.
+     * @param {Array<{chatId: string, chatData: object, favItem: object}>} entries Favorites to export.
+     * @param {string} scopeName Short name used in the file name, e.g. the chat name or "all".
+     */
+    async function exportFavorites(entries, scopeName) {
+        if (!entries.length) {
+            alert(t`There are no favorites to export.`);
+            return;
         }
 
-        // Scroll list to top after update
-        $listContainer.scrollTop(0);
+        let format = null;
+        const popup = new Popup(`
+            <h4>${t`Export ${entries.length} favorite(s)`}</h4>
+            <select id="fav-export-format" class="text_pole">
+                <option value="markdown">${t`Markdown (.md)`}</option>
+                <option value="json">${t`JSON (.json, can be imported back)`}</option>
+                <option value="html">${t`Standalone HTML anthology (.html)`}</option>
+            </select>
+        `, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Export`,
+            cancelButton: t`Cancel`,
+            onClosing: (closingPopup) => {
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    format = String($(closingPopup.dlg).find('#fav-export-format').val() || '');
+                }
+                return true;
+            },
+        });
+        await popup.show();
+        if (!format) return;
+
+        downloadExport(entries, scopeName, format);
     }
 
     /**
-     * Generates HTML for a single favorite item in the popup list.
-     * @param {object} favItem The favorite item object from settings.
-     * @param {boolean} isCurrentChat Whether the popup is for the currently active chat.
-     * @returns {string} HTML string for the list item.
+     * Builds and downloads an export in the given format without asking.
+     * @param {Array<{chatId: string, chatData: object, favItem: object}>} entries Favorites to export.
+     * @param {string} scopeName Short name used in the file name.
+     * @param {string} format One of "markdown", "json" or "html".
+     * @returns {boolean} True if a file was produced.
      */
-    function renderFavoriteItem(favItem, isCurrentChat) {
-        let previewText = '';
-        let previewClass = '';
-        const message = isCurrentChat ? getChatMessageById(favItem.messageId) : null;
+    function downloadExport(entries, scopeName, format) {
+        const safeScope = String(scopeName || 'favorites').replace(/[^a-z0-9_-]+/gi, '_').slice(0, 50);
+        const fileBase = `favorites-${safeScope}-${timestampToMoment(Date.now()).format('YYYYMMDD-HHmmss')}`;
+
+        switch (format) {
+            case 'markdown':
+                download(buildExportMarkdown(entries), `${fileBase}.md`, 'text/markdown');
+                break;
+            case 'json':
+                download(buildExportJson(entries), `${fileBase}.json`, 'application/json');
+                break;
+            case 'html':
+                download(buildExportHtml(entries), `${fileBase}.html`, 'text/html');
+                break;
+            default:
+                console.warn(logPrefix, `Unknown export format "${format}".`);
+                return false;
+        }
+        console.log(logPrefix, `Exported ${entries.length} favorite(s) as ${format}.`);
+        return true;
+    }
 
-        if (message) {
-            previewText = (message.mes || '').substring(0, 80); // Increased preview length
-            if (message.mes && message.mes.length > 80) previewText += '...';
-             // Basic HTML entity escaping
-             previewText = $('<div>').text(previewText).html();
-        } else if (isCurrentChat) {
-            previewText = "[Message deleted]";
-            previewClass = 'deleted';
-        } else {
-             previewText = "[Preview requires switching to this chat]";
-             previewClass = 'requires-switch';
+    /**
+     * Gets a chat's favorites in the flattened form used by the exporters.
+     * @param {string} chatId The chat ID.
+     * @returns {Array<{chatId: string, chatData: object, favItem: object}>} The chat's favorites.
+     */
+    function getChatExportEntries(chatId) {
+        const chatData = getPluginSettings().chats[chatId];
+        return (getChatItems(chatId) || []).map(favItem => ({ chatId, chatData, favItem }));
+    }
+
+    /**
+     * Asks how to resolve conflicts between imported and existing favorites.
+     * @param {number} conflictCount How many imported items clash with existing ones.
+     * @returns {Promise<string|null>} "skip", "overwrite", "keep-both", or null if the import was cancelled.
+     */
+    async function askImportConflictStrategy(conflictCount) {
+        let strategy = null;
+        const popup = new Popup(`
+            <h4>${t`${conflictCount} imported favorite(s) already exist`}</h4>
+            <p>${t`What should happen to them?`}</p>
+            <select id="fav-import-strategy" class="text_pole">
+                <option value="skip">${t`Skip them (keep existing)`}</option>
+                <option value="overwrite">${t`Overwrite existing with imported`}</option>
+                <option value="keep-both">${t`Keep both`}</option>
+            </select>
+        `, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Import`,
+            cancelButton: t`Cancel`,
+            onClosing: (closingPopup) => {
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    strategy = String($(closingPopup.dlg).find('#fav-import-strategy').val() || '');
+                }
+                return true;
+            },
+        });
+        await popup.show();
+        return strategy;
+    }
+
+    /**
+     * Finds the existing item an imported one clashes with: same favorite id, or the same favorite of the same
+     * message (see getDuplicateKey()), so a favorite, an excerpt and a scene of one message do not clash.
+     * @param {object[]} existingItems Items stored for the chat before the import.
+     * @param {object} importedItem The imported item.
+     * @returns {object|undefined} The clashing item.
+     */
+    function findImportConflict(existingItems, importedItem) {
+        const importedKey = getDuplicateKey(importedItem);
+        return existingItems.find(item => item.id === importedItem.id
+            || (!item.unresolved && !importedItem.unresolved && getDuplicateKey(item) === importedKey));
+    }
+
+    /**
+     * Merges a parsed JSON export into the stored favorites.
+     * @param {object} data The parsed export document.
+     * @returns {Promise<{added: number, overwritten: number, skipped: number}|null>} Counts, or null if cancelled.
+     */
+    async function importFavoritesData(data) {
+        if (data?.format !== exportFormatName || !data.chats || typeof data.chats !== 'object') {
+            throw new Error(t`This file is not a favorites export.`);
+        }
+        if (data.version > exportFormatVersion) {
+            throw new Error(t`This export was made by a newer plugin version (format ${data.version}).`);
         }
 
+        // Nothing is changed until the whole file is read and the user has chosen what to do with conflicts
+        const importedChats = getValidImportChats(data.chats);
+        const importedCollections = Object.values(data.collections && typeof data.collections === 'object' ? data.collections : {})
+            .filter(collection => typeof collection?.id === 'string' && typeof collection.name === 'string' && collection.name.trim());
 
-        const formattedTimestamp = favItem.timestamp ? timestampToMoment(favItem.timestamp).format("YYYY-MM-DD HH:mm:ss") : 'N/A';
-        const noteDisplay = favItem.note ? `<div class="fav-note">Note: ${$('<div>').text(favItem.note).html()}</div>` : ''; // Escape note
+        const settings = getPluginSettings();
+        const importedChatIds = importedChats.map(({ chatId }) => chatId);
+        await loadChatItems(importedChatIds);
+        const conflictCount = importedChats.reduce((total, { chatId, items }) => {
+            const existingItems = getChatItems(chatId) || [];
+            return total + items.filter(item => findImportConflict(existingItems, item)).length;
+        }, 0);
+
+        let strategy = 'skip';
+        if (conflictCount > 0) {
+            strategy = await askImportConflictStrategy(conflictCount);
+            if (!strategy) return null;
+        }
 
-        return `
-            <div class="favorite-item" data-fav-id="${favItem.id}" data-msg-id="${favItem.messageId}">
-              <div class="fav-meta">${$('<div>').text(favItem.sender).html()} (${favItem.role}) - ${formattedTimestamp}</div>
-              ${noteDisplay}
-              <div class="fav-preview ${previewClass}">${previewText}</div>
-              <div class="fav-actions">
-                <i class="fa-solid fa-pencil" title="Edit Note"></i>
-                <i class="fa-solid fa-trash" title="Delete Favorite"></i>
-              </div>
-            </div>
-        `;
-    }
+        const undoState = captureUndoState(importedChatIds, true);
 
-     /** Handles popup pagination clicks */
-    function handlePopupPagination(direction) {
-        if (!favoritesPopup || !currentPopupChatId) return;
+        // New chats start from what their chat files already hold; without a readable file they are parked
+        const newChats = importedChats.filter(({ chatId }) => !settings.chats[chatId]);
+        newChats.forEach(({ chatId, chat: importedChat }) => {
+            delete settings.removedChats[chatId];
+            const { type, name, characterId, groupId, avatar } = importedChat;
+            settings.chats[chatId] = { type, name, characterId, groupId, avatar, count: 0 };
+            if (!isChatStorageEnabled()) settings.chats[chatId].items = [];
+        });
+        await loadChatItems(newChats.map(({ chatId }) => chatId));
+        newChats.forEach(({ chatId }) => {
+            if (!getChatItems(chatId)) settings.chats[chatId].items = [];
+        });
 
-        const settings = getPluginSettings();
-        const chatData = settings.chats[currentPopupChatId];
-        if (!chatData) return;
+        // Collections: reuse an existing collection with the same name, otherwise add the imported one
+        const collectionIdMap = {};
+        importedCollections.forEach(collection => {
+            const existing = settings.collections[collection.id]
+                || Object.values(settings.collections).find(c => String(c.name).toLowerCase() === collection.name.toLowerCase());
+            if (existing) {
+                collectionIdMap[collection.id] = existing.id;
+            } else {
+                settings.collections[collection.id] = { id: collection.id, name: collection.name, createdAt: collection.createdAt || Date.now() };
+                collectionIdMap[collection.id] = collection.id;
+            }
+        });
 
-        const totalPages = Math.ceil(chatData.count / itemsPerPagePopup);
+        const result = { added: 0, overwritten: 0, skipped: 0 };
+        importedChats.forEach(({ chatId, items: importedItems }) => {
+            const items = getChatItems(chatId);
+            if (!items) {
+                console.warn(logPrefix, `Skipped ${importedItems.length} imported favorite(s) of chat ${chatId}, whose chat file could not be read.`);
+                result.skipped += importedItems.length;
+                return;
+            }
 
-        if (direction === 'prev' && currentPopupPage > 1) {
-            currentPopupPage--;
-        } else if (direction === 'next' && currentPopupPage < totalPages) {
-            currentPopupPage++;
-        }
-        updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+            // Imported items only clash with what was there before, not with each other
+            const existingItems = [...items];
+            importedItems.forEach(importedItem => {
+                const newItem = {
+                    ...importedItem,
+                    id: importedItem.id || uuidv4(),
+                    tags: Array.isArray(importedItem.tags) ? importedItem.tags.filter(tag => typeof tag === 'string') : [],
+                    collections: (Array.isArray(importedItem.collections) ? importedItem.collections : []).map(id => collectionIdMap[id]).filter(Boolean),
+                };
+
+                const existing = findImportConflict(existingItems, newItem);
+                if (!existing) {
+                    // A file listing one id twice still gets distinct favorites
+                    items.push(items.some(item => item.id === newItem.id) ? { ...newItem, id: uuidv4() } : newItem);
+                    result.added++;
+                } else if (strategy === 'overwrite') {
+                    // Items are only appended, so an existing item keeps its index
+                    items[existingItems.indexOf(existing)] = { ...newItem, id: existing.id };
+                    result.overwritten++;
+                } else if (strategy === 'keep-both') {
+                    items.push({ ...newItem, id: uuidv4() });
+                    result.added++;
+                } else {
+                    result.skipped++;
+                }
+            });
+            setChatItems(chatId, items);
+        });
+
+        saveFavorites(importedChatIds);
+        recordUndoStep(t`Import favorites`, undoState, { destructive: strategy === 'overwrite' });
+        return result;
     }
 
+    /**
+     * Reads the chats of an import file, leaving out anything that is not a favorite.
+     * @param {object} chats The `chats` of the export file.
+     * @returns {Array<{chatId: string, chat: object, items: object[]}>} Chats with at least one favorite.
+     */
+    function getValidImportChats(chats) {
+        return Object.entries(chats)
+            .filter(([, chat]) => chat && typeof chat === 'object' && Array.isArray(chat.items))
+            .map(([chatId, chat]) => ({
+                chatId,
+                chat,
+                items: chat.items.filter(item => item && typeof item === 'object' && item.messageId !== undefined
+                    && (item.id === undefined || typeof item.id === 'string')),
+            }))
+            .filter(({ items }) => items.length > 0);
+    }
 
-    /** Handles click on the Edit Note icon in the popup */
-    async function handleEditNote(event) {
-         const $itemElement = $(event.target).closest('.favorite-item');
-         const favId = $itemElement.data('fav-id');
-         const chatId = currentPopupChatId; // Assumes popup is open
+    /** Lets the user pick a JSON export file and imports it. */
+    function handleImportFavorites() {
+        const $fileInput = $('<input type="file" accept=".json,application/json" style="display: none;">');
+        $fileInput.on('change', async () => {
+            const file = $fileInput[0].files?.[0];
+            $fileInput.remove();
+            if (!file) return;
+
+            try {
+                const data = JSON.parse(await file.text());
+                const result = await importFavoritesData(data);
+                if (!result) return; // Cancelled
+
+                console.log(logPrefix, `Imported favorites from ${file.name}:`, result);
+                alert(t`Import complete: ${result.added} added, ${result.overwritten} overwritten, ${result.skipped} skipped.`);
+
+                relinkFavorites(); // Imported items for the open chat may need re-linking
+                injectOrUpdateFavoriteIcons();
+                if (favoritesPopup && favoritesPopup.isShown() && currentPopupChatId) {
+                    updateFavoritesPopup(currentPopupChatId, currentPopupPage);
+                }
+                renderPluginPage(currentPluginPagePage);
+            } catch (error) {
+                console.error(logPrefix, "Failed to import favorites:", error);
+                alert(t`Import failed: ${error.message}`);
+            }
+        });
+        $('body').append($fileInput);
+        $fileInput.trigger('click');
+    }
 
-         if (!chatId || !favId) return;
 
-         const settings = getPluginSettings();
-         const chatData = settings.chats[chatId];
-         const favItem = chatData?.items.find(item => item.id === favId);
+    // --- Statistics Functions ---
 
-         if (!favItem) {
-             console.error(logPrefix, `Favorite item ${favId} not found for editing note.`);
-             return;
-         }
+    /**
+     * Gets the name of the character or group a chat belongs to, preferring the current name over the stored one.
+     * @param {object} chatData The chat's index entry.
+     * @param {object} context The SillyTavern context.
+     * @returns {string} The display name.
+     */
+    function getChatOwnerName(chatData, context) {
+        if (chatData.type === "private") {
+            const character = findChatCharacter(chatData, context);
+            return character ? character.name : (chatData.name || t`Unknown / Other`);
+        }
+        if (chatData.type === "group" && chatData.groupId) {
+            const group = context.groups?.find(g => g.id === chatData.groupId);
+            return group ? group.name : (chatData.name || t`Unknown / Other`);
+        }
+        return t`Unknown / Other`;
+    }
 
-         try {
-             const result = await callGenericPopup(
-                 `Enter note for favorite (Sender: ${favItem.sender}):`,
-                 POPUP_TYPE.INPUT,
-                 favItem.note || '', // Default value is current note
-                 { rows: 3 }
-             );
+    /** Remembers how many messages the open chat has, so the overview can tell how much of it is starred. */
+    function recordMessageCount() {
+        const chatData = getPluginSettings().chats[getCurrentChatId()];
+        const chat = getContext().chat;
+        if (chatData && Array.isArray(chat)) {
+            chatData.messageCount = chat.length;
+        }
+    }
 
-             if (result !== null && result !== undefined) { // User confirmed (even if empty string)
-                 favItem.note = result.trim();
-                 console.log(logPrefix, `Updated note for favorite ${favId} in chat ${chatId}.`);
-                 saveSettingsDebounced();
-                 // Update just this item's display in the popup for efficiency
-                 const $noteDisplay = $itemElement.find('.fav-note');
-                 const escapedNote = $('<div>').text(favItem.note).html();
-                  if (favItem.note) {
-                      if ($noteDisplay.length) {
-                          $noteDisplay.html(`Note: ${escapedNote}`).show();
-                      } else {
-                          // Add note element if it didn't exist
-                          $itemElement.find('.fav-meta').after(`<div class="fav-note">Note: ${escapedNote}</div>`);
-                      }
-                  } else {
-                      $noteDisplay.hide().empty(); // Hide if note is removed
-                  }
+    /**
+     * Counts favorites over time, in consecutive buckets so gaps show as empty bars.
+     * @param {Object<string, number>} days Favorites per day they were starred (YYYY-MM-DD).
+     * @param {string} period "week" or "month".
+     * @returns {{label: string, count: number}[]} The most recent buckets, oldest first.
+     */
+    function buildFavoritesTimeline(days, period) {
+        // Midday, so no time zone shift moves a day into its neighbour
+        const dayCounts = Object.entries(days).map(([day, count]) => ({ time: new Date(`${day}T12:00:00`).getTime(), count }));
+        if (dayCounts.length === 0) return [];
+        const unit = period === 'week' ? 'isoWeek' : 'month';
+        const format = period === 'week' ? 'GGGG-[W]WW' : 'YYYY-MM';
+
+        const counts = new Map();
+        dayCounts.forEach(({ time, count }) => {
+            const label = timestampToMoment(time).startOf(unit).format(format);
+            counts.set(label, (counts.get(label) || 0) + count);
+        });
+        const times = dayCounts.map(({ time }) => time);
+
+        const step = period === 'week' ? 'weeks' : 'months';
+        const last = timestampToMoment(Math.max(...times)).startOf(unit);
+        // Keep the chart readable when favorites span years
+        const earliest = last.clone().subtract(maxStatsBuckets - 1, step);
+        let cursor = timestampToMoment(Math.min(...times)).startOf(unit);
+        if (cursor.isBefore(earliest)) cursor = earliest;
+
+        const buckets = [];
+        while (!cursor.isAfter(last)) {
+            const label = cursor.format(format);
+            buckets.push({ label, count: counts.get(label) || 0 });
+            cursor.add(1, step);
+        }
+        return buckets;
+    }
 
-                 // Also update plugin page if visible
-                 renderPluginPage();
-             }
-         } catch (error) {
-             console.error(logPrefix, "Error during edit note popup:", error);
-         }
-     }
+    /**
+     * Computes statistics over all stored favorites, from the chat summaries in the index.
+     * @returns {object} Totals, role split, per-owner and per-chat counts, and favorites per day.
+     */
+    function collectFavoriteStats() {
+        const context = getContext();
+        const currentChatId = getCurrentChatId();
+        const stats = { total: 0, roles: { user: 0, character: 0, system: 0 }, owners: {}, chats: [], days: {} };
+
+        Object.entries(getPluginSettings().chats).forEach(([chatId, chatData]) => {
+            if (!chatData.count) return;
+            const summary = chatData.summary || summarizeChatItems(getChatItems(chatId) || []);
+
+            const ownerName = getChatOwnerName(chatData, context);
+            const owner = stats.owners[ownerName] || (stats.owners[ownerName] = { name: ownerName, type: chatData.type, count: 0 });
+            owner.count += chatData.count;
+
+            stats.total += chatData.count;
+            Object.entries(summary.roles).forEach(([role, count]) => { stats.roles[role] += count; });
+            Object.entries(summary.days).forEach(([day, count]) => { stats.days[day] = (stats.days[day] || 0) + count; });
+
+            const messageCount = chatId === currentChatId ? context.chat?.length : chatData.messageCount;
+            stats.chats.push({
+                chatId,
+                name: chatData.name || t`Chat ${chatId}`,
+                ownerName,
+                count: chatData.count,
+                share: messageCount ? Math.min(1, summary.starredMessages / messageCount) : null,
+            });
+        });
 
-     /** Handles click on the Delete icon in the popup */
-     async function handleDeleteFavoriteFromPopup(event) {
-         const $itemElement = $(event.target).closest('.favorite-item');
-         const favId = $itemElement.data('fav-id');
-         const messageId = $itemElement.data('msg-id'); // Get message ID for icon update
-         const chatId = currentPopupChatId;
+        return stats;
+    }
 
-         if (!chatId || !favId) return;
+    /** Renders the statistics section of the plugin page. */
+    function renderStatsSection() {
+        const $statsArea = $(`#${statsContainerId}`);
+        if (!$statsArea.length) return;
 
-         try {
-             const confirmation = await callGenericPopup(
-                 "Are you sure you want to remove this favorite entry?",
-                 POPUP_TYPE.CONFIRM
-             );
+        const stats = collectFavoriteStats();
+        if (stats.total === 0) {
+            $statsArea.empty();
+            return;
+        }
 
-             if (confirmation) {
-                 const removed = removeFavoriteById(chatId, favId); // This handles saving and popup refresh
-                 if (removed) {
-                     // Update the icon in the main chat interface if it's the current chat and message is visible
-                     if (getCurrentChatId() === chatId) {
-                         const $messageElement = $(`#chat .mes[mesid="${messageId}"]`);
-                         if ($messageElement.length) {
-                             updateFavoriteIconState($messageElement, false); // Set to unfavorited
-                         }
-                     }
-                 }
-             }
-         } catch (error) {
-             console.error(logPrefix, "Error during delete confirmation:", error);
-             if (error !== POPUP_RESULT.CANCEL) { // Don't show alert if user just cancelled
-                 alert("An error occurred while trying to delete the favorite.");
-             }
-         }
-     }
+        const escape = (text) => $('<div>').text(text).html();
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const bar = (label, count, max, title = '') => `
+            <div class="fav-stats-bar-row" title="${escape(title || `${label}: ${count}`)}">
+                <span class="fav-stats-bar-label">${escape(label)}</span>
+                <span class="fav-stats-bar"><span style="width: ${max ? (count / max) * 100 : 0}%"></span></span>
+                <span class="fav-stats-bar-value">${count}</span>
+            </div>`;
+
+        const owners = Object.values(stats.owners).sort((a, b) => b.count - a.count);
+        const topChats = [...stats.chats].sort((a, b) => b.count - a.count).slice(0, statsTopChats);
+        const sharedChats = stats.chats.filter(chat => chat.share !== null).sort((a, b) => b.share - a.share).slice(0, statsTopChats);
+        const timeline = buildFavoritesTimeline(stats.days, statsPeriod);
+        const timelineMax = Math.max(0, ...timeline.map(bucket => bucket.count));
+
+        let contentHtml = `
+            <div class="chat-group-title">${t`Statistics`}</div>
+            <div class="fav-stats-summary">
+                <span>${t`${stats.total} favorites`}</span>
+                <span>${t`${stats.chats.length} chats`}</span>
+                <span title="${t`Favorited user / character messages`}">
+                    <i class="fa-solid fa-user"></i> ${stats.roles.user} (${percent(stats.roles.user / stats.total)})
+                    · <i class="fa-solid fa-robot"></i> ${stats.roles.character} (${percent(stats.roles.character / stats.total)})
+                    ${stats.roles.system ? `· <i class="fa-solid fa-gear"></i> ${stats.roles.system}` : ''}
+                </span>
+            </div>
+            <div class="fav-stats-block">
+                <div class="fav-stats-heading">${t`Per character / group`}</div>
+                ${owners.map(owner => bar(`${owner.type === 'group' ? '👥 ' : ''}${owner.name}`, owner.count, owners[0].count)).join('')}
+            </div>
+            <div class="fav-stats-block">
+                <div class="fav-stats-heading">
+                    ${t`Over time`}
+                    <span class="fav-stats-period">
+                        <button class="menu_button${statsPeriod === 'week' ? ' active' : ''}" data-period="week">${t`Week`}</button>
+                        <button class="menu_button${statsPeriod === 'month' ? ' active' : ''}" data-period="month">${t`Month`}</button>
+                    </span>
+                </div>
+                <div class="fav-stats-timeline">
+                    ${timeline.map(bucket => `<span class="fav-stats-column" style="height: ${timelineMax ? (bucket.count / timelineMax) * 100 : 0}%" title="${bucket.label}: ${bucket.count}"></span>`).join('')}
+                </div>
+                ${timeline.length ? `<div class="fav-stats-timeline-range"><span>${timeline[0].label}</span><span>${timeline[timeline.length - 1].label}</span></div>` : ''}
+            </div>
+            <div class="fav-stats-block">
+                <div class="fav-stats-heading">${t`Most favorited chats`}</div>
+                ${topChats.map(chat => bar(chat.name, chat.count, topChats[0].count, `${chat.ownerName} – ${chat.name}: ${chat.count}`)).join('')}
+            </div>`;
 
-     /** Handles click on the 'Clear Invalid' button in the popup */
-    async function handleClearInvalidFavorites() {
-        const chatId = currentPopupChatId;
-        if (!chatId || getCurrentChatId() !== chatId) {
-            alert("Please ensure you are in the correct chat to clear invalid favorites.");
-            return;
+        if (sharedChats.length) {
+            contentHtml += `
+            <div class="fav-stats-block">
+                <div class="fav-stats-heading" title="${t`Share of each chat's messages that are starred, as of the last time the chat was open`}">${t`Starred share of chats`}</div>
+                ${sharedChats.map(chat => `
+                    <div class="fav-stats-bar-row" title="${escape(`${chat.ownerName} – ${chat.name}`)}">
+                        <span class="fav-stats-bar-label">${escape(chat.name)}</span>
+                        <span class="fav-stats-bar"><span style="width: ${chat.share * 100}%"></span></span>
+                        <span class="fav-stats-bar-value">${percent(chat.share)}</span>
+                    </div>`).join('')}
+            </div>`;
         }
 
-        const settings = getPluginSettings();
-        const chatData = settings.chats[chatId];
-        if (!chatData || !chatData.items || chatData.items.length === 0) {
-            alert("No favorites to check in this chat.");
-            return;
+        $statsArea.html(contentHtml);
+    }
+
+    /** Handles clicks within the statistics section of the plugin page */
+    function handleStatsSectionClick(event) {
+        const period = $(event.target).closest('.fav-stats-period button').data('period');
+        if (period && period !== statsPeriod) {
+            statsPeriod = period;
+            renderStatsSection();
         }
+    }
 
-        const context = getContext();
-        const currentMessageIds = new Set(context.chat.map(msg => String(msg.id)));
-        const invalidFavIds = [];
+    // --- Display Settings Functions ---
 
-        chatData.items.forEach(favItem => {
-            if (!currentMessageIds.has(String(favItem.messageId))) {
-                invalidFavIds.push(favItem.id);
-            }
+    /** Fills the settings section of the plugin page with the stored display options. */
+    function renderDisplaySettings() {
+        const display = getDisplaySettings();
+        $('#favorites-plugin-display-settings [data-fav-setting]').each(function () {
+            const $input = $(this);
+            const value = display[$input.data('fav-setting')];
+            if ($input.is(':checkbox')) $input.prop('checked', !!value);
+            else $input.val(value);
         });
+    }
 
-        if (invalidFavIds.length === 0) {
-            alert("No invalid favorites found (all corresponding messages still exist).");
-            return;
+    /** Stores a changed display option and applies it to the star icons, the popup and the overview. */
+    function handleDisplaySettingChange(event) {
+        const $input = $(event.target);
+        const key = $input.data('fav-setting');
+        const display = getDisplaySettings();
+
+        let value;
+        if ($input.is(':checkbox')) {
+            value = $input.prop('checked');
+        } else if ($input.attr('type') === 'number') {
+            const number = parseInt(String($input.val()), 10);
+            if (!Number.isFinite(number)) return; // Wait until the field holds a number
+            value = Math.max(Number($input.attr('min')), Math.min(Number($input.attr('max')), number));
+        } else {
+            // Empty icon classes would hide the star entirely
+            value = String($input.val()).trim() || defaultDisplaySettings[key];
         }
+        if (display[key] === value) return;
 
-        try {
-            const confirmation = await callGenericPopup(
-                `Found ${invalidFavIds.length} favorite(s) pointing to deleted messages. Remove them?`,
-                POPUP_TYPE.CONFIRM
-            );
+        display[key] = value;
+        broadcastFavoriteChanges(); // Display options are shared with the other tabs
+        saveSettingsDebounced();
+        applyDisplaySettings(key);
+    }
 
-            if (confirmation) {
-                let removedCount = 0;
-                invalidFavIds.forEach(favId => {
-                    if (removeFavoriteById(chatId, favId)) { // removeFavoriteById handles saving and counts
-                        removedCount++;
-                    }
-                });
-                console.log(logPrefix, `Cleared ${removedCount} invalid favorites from chat ${chatId}.`);
-                 // updateFavoritesPopup is called within removeFavoriteById, so no need to call again explicitly unless batching
-                if(removedCount > 0) {
-                    alert(`Removed ${removedCount} invalid favorite entries.`);
-                    // Ensure the final state of the popup is rendered
-                    updateFavoritesPopup(chatId, currentPopupPage);
-                } else {
-                     alert("No invalid favorites were removed (operation might have failed).");
-                }
-            }
-        } catch (error) {
-             console.error(logPrefix, "Error during clear invalid confirmation:", error);
-             if (error !== POPUP_RESULT.CANCEL) {
-                 alert("An error occurred while trying to clear invalid favorites.");
-             }
+    /**
+     * Updates everything that shows a changed display option.
+     * @param {string|null} key The option that changed, or null after a reset.
+     */
+    function applyDisplaySettings(key) {
+        if (key === 'iconPlacement' || key === null) {
+            $(favIconSelector).remove(); // Injected again at the new position
         }
+        refreshFavoriteViews();
     }
 
+    /** Puts all display options back to their defaults. */
+    function handleResetDisplaySettings() {
+        getPluginSettings().display = { ...defaultDisplaySettings };
+        broadcastFavoriteChanges();
+        saveSettingsDebounced();
+        renderDisplaySettings();
+        applyDisplaySettings(null);
+    }
 
     // --- Plugin Page (Settings Overview) Functions ---
 
@@ -748,12 +5724,15 @@ import {
         const $settingsArea = $(`#${settingsContainerId}`);
         if (!$settingsArea.length) return; // Container not injected yet
 
+        renderCollectionsSection();
+        renderStatsSection();
+
         const settings = getPluginSettings();
         const allChats = settings.chats || {};
         const chatIds = Object.keys(allChats);
 
         if (chatIds.length === 0) {
-            $settingsArea.html('<div class="empty-state">No favorites found across any chats yet.</div>');
+            $settingsArea.html(`<div class="empty-state">${t`No favorites found across any chats yet.`}</div>`);
             return;
         }
 
@@ -763,16 +5742,8 @@ import {
 
         chatIds.forEach(chatId => {
             const chatData = allChats[chatId];
-            let groupKey = "Unknown / Other";
-            let displayName = chatData.name || `Chat ${chatId}`; // Use stored name first
-
-            if (chatData.type === "private" && chatData.characterId) {
-                const character = context.characters?.find(c => c.id === chatData.characterId);
-                groupKey = character ? character.name : displayName; // Use current char name if found
-            } else if (chatData.type === "group" && chatData.groupId) {
-                const group = context.groups?.find(g => g.id === chatData.groupId);
-                groupKey = group ? group.name : displayName; // Use current group name if found
-            }
+            const groupKey = getChatOwnerName(chatData, context);
+            const displayName = chatData.name || t`Chat ${chatId}`; // Display potentially old name if current not found
 
             if (!groupedChats[groupKey]) {
                 groupedChats[groupKey] = [];
@@ -781,6 +5752,7 @@ import {
                 chatId: chatId,
                 displayName: displayName, // Display potentially old name if current not found
                 count: chatData.count || 0,
+                archived: !!chatData.archived,
             });
         });
 
@@ -797,6 +5769,7 @@ import {
 
 
         const totalEntries = allEntries.length; // Includes titles
+        const { itemsPerPagePluginPage } = getDisplaySettings();
         const totalPages = Math.ceil(totalEntries / itemsPerPagePluginPage);
         page = Math.max(1, Math.min(page, totalPages));
         currentPluginPagePage = page;
@@ -811,9 +5784,12 @@ import {
                 contentHtml += `<div class="chat-group-title">${$('<div>').text(entry.title).html()}</div>`;
             } else {
                 contentHtml += `
-                    <div class="chat-entry-item" data-chat-id="${entry.chatId}" title="Click to view favorites for ${$('<div>').text(entry.displayName).html()}">
+                    <div class="chat-entry-item${entry.archived ? ' archived' : ''}" data-chat-id="${entry.chatId}" title="${t`Click to view favorites for ${$('<div>').text(entry.displayName).html()}`}">
                         <span>${$('<div>').text(entry.displayName).html()}</span>
                         <span class="count">(${entry.count})</span>
+                        ${entry.archived
+                            ? `<span class="fav-archived-badge" title="${t`This chat was deleted; its favorites are kept as an archive`}">${t`[Deleted chat]`}</span>`
+                            : `<i class="fa-solid fa-arrow-up-right-from-square fav-open-chat" title="${t`Go to the latest favorite in this chat`}"></i>`}
                     </div>`;
             }
         });
@@ -823,9 +5799,9 @@ import {
         if (totalPages > 1) {
             contentHtml += `
                 <div id="${pluginPagePaginationId}" class="pagination-controls">
-                    <button id="fav-plugin-prev" class="menu_button fa-solid fa-arrow-left" title="Previous Page" ${page === 1 ? 'disabled' : ''}></button>
-                    <span id="fav-plugin-page-indicator">Page ${page} / ${totalPages}</span>
-                    <button id="fav-plugin-next" class="menu_button fa-solid fa-arrow-right" title="Next Page" ${page === totalPages ? 'disabled' : ''}></button>
+                    <button id="fav-plugin-prev" class="menu_button fa-solid fa-arrow-left" title="${t`Previous Page`}" ${page === 1 ? 'disabled' : ''}></button>
+                    <span id="fav-plugin-page-indicator">${t`Page ${page} / ${totalPages}`}</span>
+                    <button id="fav-plugin-next" class="menu_button fa-solid fa-arrow-right" title="${t`Next Page`}" ${page === totalPages ? 'disabled' : ''}></button>
                 </div>`;
         }
 
@@ -834,6 +5810,116 @@ import {
         setupPluginPageEventDelegation(); // Re-run setup after render
     }
 
+    /** Renders the list of collections below the chat overview. */
+    function renderCollectionsSection() {
+        const $collectionsArea = $(`#${collectionsContainerId}`);
+        if (!$collectionsArea.length) return;
+
+        const collections = Object.values(getPluginSettings().collections).sort((a, b) => a.name.localeCompare(b.name));
+        let contentHtml = `
+            <div class="chat-group-title">
+                ${t`Collections`}
+                <i id="fav-collection-create" class="fa-solid fa-plus" title="${t`New Collection`}"></i>
+            </div>`;
+
+        if (collections.length === 0) {
+            contentHtml += `<div class="empty-state">${t`No collections yet. Right-click a message star or use the tag icon in the popup to add favorites to one.`}</div>`;
+        } else {
+            collections.forEach(collection => {
+                contentHtml += `
+                    <div class="chat-entry-item fav-collection-entry" data-collection-id="${collection.id}" title="${t`Click to browse this collection`}">
+                        <span>${$('<div>').text(collection.name).html()}</span>
+                        <span class="count">(${countCollectionItems(collection.id)})</span>
+                        <span class="fav-collection-actions">
+                            <i class="fa-solid fa-pen fav-collection-rename" title="${t`Rename`}"></i>
+                            <i class="fa-solid fa-code-merge fav-collection-merge" title="${t`Merge into another collection`}"></i>
+                            <i class="fa-solid fa-trash fav-collection-delete" title="${t`Delete collection (favorites are kept)`}"></i>
+                        </span>
+                    </div>`;
+            });
+        }
+
+        $collectionsArea.html(contentHtml);
+    }
+
+    /** Handles clicks within the collections section of the plugin page */
+    async function handleCollectionsSectionClick(event) {
+        const $target = $(event.target);
+
+        if ($target.closest('#fav-collection-create').length) {
+            const name = await callGenericPopup(t`Name of the new collection:`, POPUP_TYPE.INPUT, '');
+            if (name && withUndoStep(t`Create collection`, [], () => createCollection(name), { includeCollections: true })) {
+                saveFavorites([]);
+                renderCollectionsSection();
+            }
+            return;
+        }
+
+        const collectionId = $target.closest('.fav-collection-entry').data('collection-id');
+        const collections = getPluginSettings().collections;
+        const collection = collections[collectionId];
+        if (!collection) return;
+
+        try {
+            if ($target.closest('.fav-collection-rename').length) {
+                const newName = await callGenericPopup(t`Rename collection "${collection.name}" to:`, POPUP_TYPE.INPUT, collection.name);
+                if (newName && renameCollection(collectionId, newName)) {
+                    renderPluginPage(currentPluginPagePage);
+                }
+            } else if ($target.closest('.fav-collection-merge').length) {
+                await handleMergeCollection(collection);
+            } else if ($target.closest('.fav-collection-delete').length) {
+                const confirmation = await callGenericPopup(
+                    t`Delete collection "${collection.name}"? The favorites in it are kept.`,
+                    POPUP_TYPE.CONFIRM,
+                );
+                if (confirmation && await deleteCollection(collectionId)) {
+                    renderPluginPage(currentPluginPagePage);
+                }
+            } else {
+                openGlobalBrowser({ collection: collectionId });
+            }
+        } catch (error) {
+            console.error(logPrefix, "Error while managing collection:", error);
+        }
+    }
+
+    /**
+     * Asks which collection to merge the given one into and performs the merge.
+     * @param {object} sourceCollection The collection being merged away.
+     */
+    async function handleMergeCollection(sourceCollection) {
+        const targets = Object.values(getPluginSettings().collections)
+            .filter(c => c.id !== sourceCollection.id)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (targets.length === 0) {
+            alert(t`There is no other collection to merge into.`);
+            return;
+        }
+
+        const optionsHtml = targets.map(c => `<option value="${c.id}">${$('<div>').text(c.name).html()}</option>`).join('');
+        let targetId = null;
+        const popup = new Popup(`
+            <h4>${t`Merge "${$('<div>').text(sourceCollection.name).html()}" into:`}</h4>
+            <select id="fav-merge-target" class="text_pole">${optionsHtml}</select>
+        `, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Merge`,
+            cancelButton: t`Cancel`,
+            onClosing: (closingPopup) => {
+                if (closingPopup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    targetId = String($(closingPopup.dlg).find('#fav-merge-target').val() || '');
+                }
+                return true;
+            },
+        });
+        await popup.show();
+
+        if (targetId && await mergeCollections(sourceCollection.id, targetId)) {
+            console.log(logPrefix, `Merged collection ${sourceCollection.id} into ${targetId}.`);
+            renderPluginPage(currentPluginPagePage);
+        }
+    }
+
      /** Handles plugin page pagination clicks */
      function handlePluginPagePagination(direction) {
          const settings = getPluginSettings();
@@ -846,7 +5932,7 @@ import {
           const groupedChats = {};
            chatIds.forEach(chatId => {
                const chatData = settings.chats[chatId];
-               let groupKey = "Unknown / Other";
+               let groupKey = t`Unknown / Other`;
                 if (chatData.type === "private" && chatData.characterId) groupKey = chatData.name;
                 else if (chatData.type === "group" && chatData.groupId) groupKey = chatData.name;
                if (!groupedChats[groupKey]) {
@@ -856,7 +5942,7 @@ import {
                entryCountForPaging++; // Count chat entry
            });
 
-         const totalPages = Math.ceil(entryCountForPaging / itemsPerPagePluginPage);
+         const totalPages = Math.ceil(entryCountForPaging / getDisplaySettings().itemsPerPagePluginPage);
 
          if (direction === 'prev' && currentPluginPagePage > 1) {
              currentPluginPagePage--;
@@ -867,13 +5953,33 @@ import {
      }
 
 
+    /** Handles clicks on the "go to chat" icon of a chat entry within the plugin settings page */
+    async function handlePluginPageOpenChat(event) {
+        const chatId = $(event.target).closest('.chat-entry-item').data('chat-id');
+        if (!chatId || !getPluginSettings().chats[chatId]?.count) return;
+        await loadChatItems([chatId]);
+
+        // The latest favorite is the one most likely to be near where the user left off
+        const latestItem = (getChatItems(chatId) || [])
+            .filter(item => !item.unresolved)
+            .sort((a, b) => parseInt(b.messageId, 10) - parseInt(a.messageId, 10))[0];
+
+        if (latestItem) {
+            await jumpToFavorite(chatId, latestItem.id);
+        } else {
+            await switchToChat(chatId);
+        }
+    }
+
     /** Handles clicks on chat entries within the plugin settings page */
-    function handlePluginPageChatClick(event) {
+    async function handlePluginPageChatClick(event) {
         const $chatEntry = $(event.target).closest('.chat-entry-item');
         if (!$chatEntry.length) return;
+        if ($(event.target).closest('.fav-open-chat').length) return; // Handled by handlePluginPageOpenChat
 
         const clickedChatId = $chatEntry.data('chat-id');
         if (clickedChatId) {
+            await loadChatItems([clickedChatId]); // A closed chat's favorites are in its chat file
              console.log(logPrefix, `Opening favorites popup for chat ${clickedChatId} from plugin page.`);
             // Open the same popup, but pass the specific chatId
             currentPopupChatId = clickedChatId; // Set the target chat
@@ -892,20 +5998,297 @@ import {
         const $settingsArea = $(`#${settingsContainerId}`);
         // Remove previous handlers to avoid duplicates if called multiple times
         $settingsArea.off('click', '.chat-entry-item');
+        $settingsArea.off('click', '.fav-open-chat');
         $settingsArea.off('click', '#fav-plugin-prev');
         $settingsArea.off('click', '#fav-plugin-next');
 
         // Add delegation
         $settingsArea.on('click', '.chat-entry-item', handlePluginPageChatClick);
+        $settingsArea.on('click', '.fav-open-chat', handlePluginPageOpenChat);
         $settingsArea.on('click', '#fav-plugin-prev', () => handlePluginPagePagination('prev'));
         $settingsArea.on('click', '#fav-plugin-next', () => handlePluginPagePagination('next'));
     }
 
 
+    // --- Slash Commands ---
+
+    /**
+     * Resolves a slash command's message argument to a mesid in the current chat.
+     * @param {string} value The argument value; empty means the last message.
+     * @returns {number|null} The mesid, or null if it is out of range or not a number.
+     */
+    function resolveCommandMessageId(value) {
+        const chatLength = getContext().chat?.length || 0;
+        if (chatLength === 0) return null;
+
+        const trimmedValue = String(value ?? '').trim();
+        const messageId = trimmedValue === '' ? chatLength - 1 : Number(trimmedValue);
+        if (!Number.isInteger(messageId) || messageId < 0 || messageId >= chatLength) return null;
+        return messageId;
+    }
+
+    /**
+     * Finds a favorite by its unique ID in any chat.
+     * @param {string} favId The unique favorite ID.
+     * @returns {Promise<{chatId: string, favItem: object}|null>} The favorite and its chat, or null if not found.
+     */
+    async function findFavoriteById(favId) {
+        await loadAllChatItems();
+        const entry = collectAllFavorites().find(({ favItem }) => favItem.id === favId);
+        return entry ? { chatId: entry.chatId, favItem: entry.favItem } : null;
+    }
+
+    /**
+     * Finds the favorite targeted by a command: a favorite ID, or a mesid (default: last message) in the current chat.
+     * @param {string} value The argument value.
+     * @returns {Promise<{chatId: string, favItem: object}|null>} The favorite and its chat, or null if not found.
+     */
+    async function resolveCommandFavorite(value) {
+        const trimmedValue = String(value ?? '').trim();
+        if (trimmedValue && !/^\d+$/.test(trimmedValue)) return findFavoriteById(trimmedValue);
+
+        const chatId = getCurrentChatId();
+        const messageId = resolveCommandMessageId(trimmedValue);
+        if (!chatId || messageId === null) return null;
+
+        // Prefer the favorite of the swipe currently shown, then any other swipe of the message
+        const favItem = findFavoriteForMessage(chatId, messageId, getCurrentSwipeId(getChatMessageById(messageId)))
+            || findFavoriteForMessage(chatId, messageId);
+        return favItem ? { chatId, favItem } : null;
+    }
+
+    /** Handles /fav: favorites a message, optionally with a note and tags. Returns the favorite ID. */
+    function favCommandCallback(args, value) {
+        const chatInfo = getCurrentChatInfo();
+        const messageId = resolveCommandMessageId(value);
+        const message = messageId !== null ? getChatMessageById(messageId) : null;
+        if (!chatInfo || !message) {
+            toastr.warning(t`No such message in the current chat.`, t`Favorites`);
+            return '';
+        }
+
+        const favItem = withUndoStep(t`Favorite message`, [chatInfo.chatId], () => {
+            const item = addFavorite(chatInfo, message, messageId);
+            if (!item) return item;
+            if (args.note !== undefined) setFavoriteNote(item, args.note);
+            if (args.tags !== undefined) item.tags = parseTagInput([...(item.tags || []), args.tags].join(','));
+            return item;
+        });
+        if (!favItem) return '';
+
+        saveFavorites([chatInfo.chatId]);
+        refreshFavoriteViews();
+        return favItem.id;
+    }
+
+    /** Handles /unfav: removes the favorite of a message. Returns "true" if one was removed. */
+    function unfavCommandCallback(_args, value) {
+        const chatId = getCurrentChatId();
+        const messageId = resolveCommandMessageId(value);
+        if (!chatId || messageId === null) {
+            toastr.warning(t`No such message in the current chat.`, t`Favorites`);
+            return 'false';
+        }
+
+        const removed = removeFavoriteByMessageId(chatId, messageId, getCurrentSwipeId(getChatMessageById(messageId)));
+        refreshFavoriteViews();
+        return String(removed);
+    }
+
+    /** Handles /favlist: returns favorites of the current chat (or all chats) as JSON or text. */
+    async function favListCommandCallback(args) {
+        const scope = String(args.scope || 'chat');
+        if (scope === 'all') await loadAllChatItems();
+        const entries = scope === 'all' ? collectAllFavorites() : getChatExportEntries(getCurrentChatId());
+
+        if (String(args.format || 'json') === 'text') {
+            return entries.map(({ chatId, chatData, favItem }) => {
+                const where = scope === 'all' ? `[${chatData.name || chatId}] ` : '';
+                const note = favItem.note ? ` (${favItem.note})` : '';
+                const text = getFavoriteFullText(chatId, favItem).replace(/\s+/g, ' ').substring(0, 80);
+                return `${where}#${favItem.messageId} ${favItem.sender}: ${text}${note}`;
+            }).join('\n');
+        }
+
+        return JSON.stringify(entries.map(({ chatId, favItem }) => ({
+            id: favItem.id,
+            chatId,
+            messageId: Number(favItem.messageId),
+            sender: favItem.sender,
+            role: favItem.role,
+            note: favItem.note,
+            tags: favItem.tags || [],
+            text: getFavoriteFullText(chatId, favItem),
+            unresolved: !!favItem.unresolved,
+        })));
+    }
+
+    /** Handles /favnote: sets the note of a favorite. Returns the favorite ID. */
+    async function favNoteCommandCallback(args, value) {
+        const target = await resolveCommandFavorite(args.id ?? args.mesid ?? '');
+        if (!target) {
+            toastr.warning(t`Favorite not found.`, t`Favorites`);
+            return '';
+        }
+
+        withUndoStep(t`Edit note`, [target.chatId], () => {
+            setFavoriteNote(target.favItem, value);
+        });
+        console.log(logPrefix, `Updated note for favorite ${target.favItem.id} in chat ${target.chatId}.`);
+        saveFavorites([target.chatId]);
+        refreshFavoriteViews();
+        return target.favItem.id;
+    }
+
+    /** Handles /favjump: goes to a favorite, or opens the favorites popup when no target is given. */
+    async function favJumpCommandCallback(_args, value) {
+        if (String(value ?? '').trim() === '') {
+            openFavoritesPopup();
+            return '';
+        }
+
+        const target = await resolveCommandFavorite(value);
+        if (!target) {
+            toastr.warning(t`Favorite not found.`, t`Favorites`);
+            return 'false';
+        }
+        return String(await jumpToFavorite(target.chatId, target.favItem.id));
+    }
+
+    /** Handles /favexport: downloads favorites of the current chat (or all chats) in the given format. */
+    async function favExportCommandCallback(args) {
+        const scope = String(args.scope || 'chat');
+        const chatId = getCurrentChatId();
+        if (scope === 'all') await loadAllChatItems();
+        const entries = scope === 'all' ? collectAllFavorites() : getChatExportEntries(chatId);
+        if (!entries.length) {
+            toastr.warning(t`There are no favorites to export.`, t`Favorites`);
+            return '';
+        }
+
+        const scopeName = scope === 'all' ? 'all' : (getPluginSettings().chats[chatId]?.name || chatId);
+        downloadExport(entries, scopeName, String(args.format || 'markdown'));
+        return '';
+    }
+
+    /** Handles /favstorage: reports or switches where favorites are stored. Returns the storage mode. */
+    async function favStorageCommandCallback(_args, value) {
+        const mode = String(value ?? '').trim();
+        if (!mode) return getPluginSettings().storage;
+        if (mode !== 'chat' && mode !== 'settings') {
+            toastr.warning(t`Use "chat" or "settings".`, t`Favorites`);
+            return getPluginSettings().storage;
+        }
+
+        const complete = await setStorageMode(mode);
+        if (getPluginSettings().storage !== mode) {
+            toastr.warning(t`Some chats could not be read, so the favorites stay in the chats.`, t`Favorites`);
+        } else if (complete) {
+            toastr.success(mode === 'chat' ? t`Favorites are now stored in each chat.` : t`Favorites are now stored in the settings.`, t`Favorites`);
+        } else if (mode === 'chat') {
+            toastr.warning(t`Some chats could not be written; their favorites stay in the settings until the chat is opened.`, t`Favorites`);
+        } else {
+            toastr.warning(t`Favorites are now stored in the settings, but some chat files could not be cleared.`, t`Favorites`);
+        }
+        refreshFavoriteViews();
+        return getPluginSettings().storage;
+    }
+
+    /** Registers the plugin's STscript slash commands. */
+    function registerSlashCommands() {
+        const messageArgument = SlashCommandArgument.fromProps({
+            description: t`message ID (mesid); defaults to the last message`,
+            typeList: [ARGUMENT_TYPE.NUMBER],
+            isRequired: false,
+        });
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'fav',
+            callback: favCommandCallback,
+            returns: t`the favorite ID`,
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'note', description: t`note to attach`, typeList: [ARGUMENT_TYPE.STRING] }),
+                SlashCommandNamedArgument.fromProps({ name: 'tags', description: t`comma-separated tags to add`, typeList: [ARGUMENT_TYPE.STRING] }),
+            ],
+            unnamedArgumentList: [messageArgument],
+            helpString: t`Favorites a message in the current chat. Example: <code>/fav note="Great twist" tags=plot 42</code>`,
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'unfav',
+            callback: unfavCommandCallback,
+            returns: t`true if a favorite was removed`,
+            unnamedArgumentList: [messageArgument],
+            helpString: t`Removes the favorite of a message in the current chat.`,
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'favlist',
+            callback: favListCommandCallback,
+            returns: t`favorites as a JSON array or as text lines`,
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'format', description: t`output format`, typeList: [ARGUMENT_TYPE.STRING], defaultValue: 'json', enumList: ['json', 'text'] }),
+                SlashCommandNamedArgument.fromProps({ name: 'scope', description: t`which favorites to list`, typeList: [ARGUMENT_TYPE.STRING], defaultValue: 'chat', enumList: ['chat', 'all'] }),
+            ],
+            helpString: t`Lists favorites of the current chat (or all chats) for piping into other commands.`,
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'favnote',
+            callback: favNoteCommandCallback,
+            returns: t`the favorite ID`,
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'mesid', description: t`message ID in the current chat; defaults to the last message`, typeList: [ARGUMENT_TYPE.NUMBER] }),
+                SlashCommandNamedArgument.fromProps({ name: 'id', description: t`favorite ID, for favorites in any chat`, typeList: [ARGUMENT_TYPE.STRING] }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: t`note text; empty clears the note`, typeList: [ARGUMENT_TYPE.STRING], isRequired: false }),
+            ],
+            helpString: t`Sets the note of a favorite. Example: <code>/favnote mesid=42 The big reveal</code>`,
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'favjump',
+            callback: favJumpCommandCallback,
+            returns: t`true if the jump succeeded`,
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: t`message ID in the current chat, or a favorite ID from any chat`, typeList: [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING], isRequired: false }),
+            ],
+            helpString: t`Goes to a favorited message, switching chats if needed. Without an argument, opens the favorites popup.`,
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'favexport',
+            callback: favExportCommandCallback,
+            returns: t`nothing; downloads a file`,
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'format', description: t`file format`, typeList: [ARGUMENT_TYPE.STRING], defaultValue: 'markdown', enumList: ['markdown', 'json', 'html'] }),
+                SlashCommandNamedArgument.fromProps({ name: 'scope', description: t`which favorites to export`, typeList: [ARGUMENT_TYPE.STRING], defaultValue: 'chat', enumList: ['chat', 'all'] }),
+            ],
+            helpString: t`Exports favorites of the current chat (or all chats) to a file.`,
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'favstorage',
+            callback: favStorageCommandCallback,
+            returns: t`the storage mode`,
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: t`where to store favorites`, typeList: [ARGUMENT_TYPE.STRING], isRequired: false, enumList: ['chat', 'settings'] }),
+            ],
+            helpString: t`Shows or switches where favorites are stored: <code>chat</code> keeps them in each chat's metadata, <code>settings</code> moves them all back into the extension settings (the layout older plugin versions use).`,
+        }));
+
+        console.log(logPrefix, "Registered slash commands.");
+    }
+
+
     // --- Plugin Initialization ---
     jQuery(async () => {
         console.log(logPrefix, "Loading...");
+        await loadLocaleData();
         initializeSettings();
+        runDataMigrations();
+        rememberSavedIndex();
 
         // 1. Inject into Extensions Page (Plugin Overview)
         try {
@@ -919,6 +6302,7 @@ import {
                 $container.append(settingsHtml);
                 console.log(logPrefix, `Added settings UI container to ${$container.attr('id')}`);
                 renderPluginPage(currentPluginPagePage); // Initial render of the overview list
+                renderDisplaySettings();
                 setupPluginPageEventDelegation(); // Setup clicks for the list
              } else {
                  console.error(logPrefix, "Could not find container (#extensions_settings or #translation_container) for settings UI.");
@@ -935,25 +6319,97 @@ import {
 
             // Add direct click listener for the sidebar button
             $(document).on('click', `#${sidebarButtonId}`, openFavoritesPopup);
+            $(document).on('click', `#${sceneButtonId}`, startSceneSelection);
+            $(document).on('click', '#fav-open-global-browser', () => openGlobalBrowser());
+            $(document).on('click', '#fav-export-all', async () => {
+                await loadAllChatItems();
+                exportFavorites(collectAllFavorites(), 'all');
+            });
+            $(document).on('click', '#fav-import', handleImportFavorites);
+            $(document).on('click', '#fav-integrity-scan', openIntegrityScanner);
+            $(document).on('input change', '#favorites-plugin-display-settings [data-fav-setting]', handleDisplaySettingChange);
+            $(document).on('click', '#fav-settings-reset', handleResetDisplaySettings);
+            $(document).on('click', `#${collectionsContainerId}`, handleCollectionsSectionClick);
+            $(document).on('click', `#${statsContainerId}`, handleStatsSectionClick);
 
         } catch (error) {
             console.error(logPrefix, "Failed to load or inject sidebar_button.html:", error);
         }
 
         // 3. Setup Message Button Injection & Event Delegation
+        hydrateCurrentChat(); // A chat may already be open when the plugin loads
+        relinkFavorites();
         injectOrUpdateFavoriteIcons(); // Initial injection for existing messages
+        migrateMissingSnapshots();
+        updatePinnedContext();
+        setupFavoritesSync();
+        runStorageMigration()
+            .catch(error => console.error(logPrefix, "Error while moving favorites into the chat files:", error));
         $(document).on('click', favIconSelector, handleFavoriteToggle); // Use event delegation for ALL icons
+        $(document).on('contextmenu', favIconSelector, handleFavoriteContextMenu);
+        $(document).on('click', '#chat .mes', handleSceneSelectionClick);
+
+        // Floating button for saving a text selection as an excerpt
+        $('body').append(`<div id="${excerptButtonId}" class="menu_button" style="display: none;" title="${t`Save the selected text as a favorite excerpt`}"><i class="fa-solid fa-quote-left"></i> ${t`Save excerpt`}</div>`);
+        $(document).on('mousedown', `#${excerptButtonId}`, (event) => event.preventDefault()); // Keep the selection
+        $(document).on('click', `#${excerptButtonId}`, handleSaveExcerptClick);
+        $(document).on('mouseup touchend', '#chat .mes_text', () => setTimeout(updateExcerptButton, 0));
+        $(document).on('selectionchange', () => {
+            if (pendingExcerpt && window.getSelection()?.isCollapsed) {
+                pendingExcerpt = null;
+                $(`#${excerptButtonId}`).hide();
+            }
+        });
+        $('#chat').on('scroll', () => $(`#${excerptButtonId}, #${ratingPickerId}`).hide());
+        // Rating picker shown while hovering a message's favorite icon
+        $(document).on('mouseenter', favIconSelector, showRatingPicker);
+        $(document).on('mouseleave', favIconSelector, hideRatingPickerSoon);
+        $(document).on('mouseenter', `#${ratingPickerId}`, () => clearTimeout(ratingPickerHideTimer));
+        $(document).on('mouseleave', `#${ratingPickerId}`, hideRatingPickerSoon);
+        $(document).on('click', `#${ratingPickerId} .fav-rating-star`, handleRatingPickerClick);
+        $(document).on('mouseenter', `#${minimapId} .fav-minimap-marker`, showMinimapTooltip);
+        $(document).on('mouseleave', `#${minimapId} .fav-minimap-marker`, () => $(`#${minimapTooltipId}`).hide());
+        $(document).on('click', `#${minimapId} .fav-minimap-marker`, handleMinimapClick);
+        $(window).on('resize', renderMinimapDebounced);
+        $(document).on('keydown', (event) => {
+            if (event.key === 'Escape' && isSelectingScene) cancelSceneSelection();
+        });
         console.log(logPrefix, `Set up event delegation for ${favIconSelector}`);
 
 
         // 4. Listen for SillyTavern events to keep icons updated
         eventSource.on(event_types.CHAT_UPDATED, injectOrUpdateFavoriteIcons);
         eventSource.on(event_types.CHARACTER_LOADED, injectOrUpdateFavoriteIcons);
-        // Also update when settings are loaded/changed externally?
-        // eventSource.on(event_types.SETTINGS_UPDATED, () => {
-        //      injectOrUpdateFavoriteIcons();
-        //      renderPluginPage(); // Refresh overview if settings change
-        // });
+        // Load the chat's stored favorites, then re-link so snapshots are backfilled from the right messages
+        eventSource.on(event_types.CHAT_CHANGED, () => {
+            backfillChatAvatar();
+            hydrateCurrentChat();
+            followChatIdentity().catch(error => console.error(logPrefix, "Error while following a renamed chat:", error));
+            handleMessagePositionsChanged();
+            migrateMissingSnapshots();
+            updatePinnedContext(); // Replaces the previous chat's pinned favorites
+            recordMessageCount();
+            renderStatsSection();
+        });
+        // Pinned messages may have been edited or swiped since the prompt was last built
+        eventSource.on(event_types.GENERATION_STARTED, updatePinnedContext);
+        eventSource.on(event_types.MESSAGE_DELETED, handleMessagePositionsChanged);
+        eventSource.on(event_types.CHAT_DELETED, handleChatDeleted);
+        eventSource.on(event_types.GROUP_CHAT_DELETED, handleChatDeleted);
+        // Stars follow the swipe currently shown
+        eventSource.on(event_types.MESSAGE_SWIPED, injectOrUpdateFavoriteIcons);
+        // Re-rendered messages lose their excerpt highlights (and new ones need a star)
+        eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, injectOrUpdateFavoriteIcons);
+        eventSource.on(event_types.USER_MESSAGE_RENDERED, injectOrUpdateFavoriteIcons);
+        eventSource.on(event_types.MESSAGE_UPDATED, injectOrUpdateFavoriteIcons);
+        eventSource.on(event_types.MORE_MESSAGES_LOADED, injectOrUpdateFavoriteIcons);
+
+        // 5. Register slash commands
+        try {
+            registerSlashCommands();
+        } catch (error) {
+            console.error(logPrefix, "Failed to register slash commands:", error);
+        }
 
 
         console.log(logPrefix, "Loaded successfully.");